@@ -1,6 +1,16 @@
 import jwt from "jsonwebtoken"
+import mongoose from "mongoose"
+import RefreshToken from "../models/RefreshToken.js"
+import Session from "../models/Session.js"
+import ApiKey from "../models/ApiKey.js"
+import { hashToken, randomToken } from "../utils/tokens.js"
 
-export const authenticateToken = (req, res, next) => {
+// Avoid a write on every request, last-seen only needs to be roughly right
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000
+
+export const API_KEY_PREFIX = "alk_"
+
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"]
   const token = authHeader && authHeader.split(" ")[1]
 
@@ -12,10 +22,9 @@ export const authenticateToken = (req, res, next) => {
     })
   }
 
+  let decoded
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    req.user = decoded
-    next()
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
   } catch (error) {
     return res.status(403).json({
       success: false,
@@ -23,15 +32,149 @@ export const authenticateToken = (req, res, next) => {
       statusCode: 403,
     })
   }
+
+  const session = mongoose.isValidObjectId(decoded.sid) ? await Session.findById(decoded.sid) : null
+  if (!session || session.revokedAt) {
+    return res.status(401).json({
+      success: false,
+      error: "Session has been revoked",
+      statusCode: 401,
+    })
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip })
+  }
+
+  req.user = decoded
+  next()
+}
+
+// Like authenticateToken, but also accepts personal API keys that carry the
+// given scope. Sessions from an interactive login are allowed everything.
+export const authenticateWithScope = (scope) => async (req, res, next) => {
+  const authHeader = req.headers["authorization"]
+  const token = authHeader && authHeader.split(" ")[1]
+
+  if (!token || !token.startsWith(API_KEY_PREFIX)) {
+    return authenticateToken(req, res, next)
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(token), revokedAt: null })
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or expired API key",
+      statusCode: 401,
+    })
+  }
+
+  if (!apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `API key is missing the ${scope} scope`,
+      statusCode: 403,
+    })
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+  }
+
+  req.user = { sub: apiKey.userId.toString(), apiKeyId: apiKey.id, scopes: apiKey.scopes }
+  next()
+}
+
+const refreshTokenExpiry = () => {
+  const days = Number.parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS || "30")
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000)
 }
 
-export const generateTokens = (userId, email) => {
-  const expiresIn = process.env.JWT_EXPIRY || "7d"
+// Issues a short-lived access token and a persisted refresh token for an
+// existing session. The session id doubles as the refresh token family.
+export const generateTokens = async (userId, email, sessionId) => {
+  const expiresIn = process.env.JWT_EXPIRY || "15m"
+  const expiresAt = refreshTokenExpiry()
 
-  const accessToken = jwt.sign({ sub: userId, email }, process.env.JWT_SECRET, { expiresIn })
+  const accessToken = jwt.sign({ sub: userId, email, sid: sessionId }, process.env.JWT_SECRET, { expiresIn })
+  const { iat, exp } = jwt.decode(accessToken)
+
+  const refreshToken = randomToken()
+  await RefreshToken.create({
+    userId,
+    family: sessionId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt,
+  })
+  await Session.updateOne({ _id: sessionId }, { lastSeenAt: new Date(), expiresAt })
 
   return {
     accessToken,
-    expiresIn: Number.parseInt(process.env.JWT_EXPIRY || "604800"),
+    refreshToken,
+    expiresIn: exp - iat,
+  }
+}
+
+// Proves the password step of a login succeeded for a user with 2FA enabled.
+// It carries no session, so authenticateToken never accepts it.
+export const generateChallengeToken = (userId) =>
+  jwt.sign({ sub: userId, purpose: "2fa_challenge" }, process.env.JWT_SECRET, { expiresIn: "5m" })
+
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === "2fa_challenge" ? decoded.sub : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Records a new device session for a successful login and issues its tokens
+export const startSession = async (user, req) => {
+  const session = await Session.create({
+    userId: user._id,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry(),
+  })
+
+  return generateTokens(user._id.toString(), user.email, session.id)
+}
+
+// Revokes the matching sessions of a user together with their refresh tokens
+export const revokeSessions = async (filter, reason = "logout") => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select("_id")
+  if (sessions.length === 0) return 0
+
+  const ids = sessions.map((session) => session.id)
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: new Date() })
+  await RefreshToken.updateMany(
+    { family: { $in: ids }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  )
+
+  return ids.length
+}
+
+// Marks a refresh token as used and returns it, or null if it cannot be used.
+// Presenting a token that was already rotated means it leaked, so the whole
+// session is revoked and the legitimate holder has to log in again.
+export const consumeRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken)
+  const now = new Date()
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, revokedReason: "rotated" },
+  )
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash, revokedReason: "rotated" })
+    if (reused && mongoose.isValidObjectId(reused.family)) {
+      await revokeSessions({ _id: reused.family }, "reuse_detected")
+    }
+    return null
   }
+
+  return current
 }
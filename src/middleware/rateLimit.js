@@ -0,0 +1,134 @@
+import { rateLimit, ipKeyGenerator, MemoryStore } from "express-rate-limit"
+import RateLimitCounter from "../models/RateLimitCounter.js"
+
+// Keeps counters in MongoDB so every instance behind a load balancer sees the
+// same hits. Windows are fixed and start with the first hit.
+class MongoStore {
+  constructor(prefix) {
+    this.prefix = prefix
+    this.localKeys = false
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs
+  }
+
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({ key: this.prefix + key, resetAt: { $gt: new Date() } })
+    return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined
+  }
+
+  async increment(key) {
+    const now = new Date()
+    const active = { $gt: ["$resetAt", now] }
+
+    // Single atomic update that either counts the hit or starts a new window
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key: this.prefix + key },
+      [
+        {
+          $set: {
+            hits: { $cond: [active, { $add: ["$hits", 1] }, 1] },
+            resetAt: { $cond: [active, "$resetAt", new Date(now.getTime() + this.windowMs)] },
+          },
+        },
+      ],
+      { upsert: true, new: true, updatePipeline: true },
+    )
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt }
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.updateOne({ key: this.prefix + key, hits: { $gt: 0 } }, { $inc: { hits: -1 } })
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.deleteOne({ key: this.prefix + key })
+  }
+}
+
+// Pick one with RATE_LIMIT_STORE. Add an entry here to back limits with
+// something else, e.g. Redis.
+const stores = {
+  memory: () => new MemoryStore(),
+  mongo: (prefix) => new MongoStore(prefix),
+}
+
+const createStore = (prefix) => {
+  const name = process.env.RATE_LIMIT_STORE || "memory"
+  if (!stores[name]) {
+    throw new Error(`Unknown rate limit store: ${name}`)
+  }
+  return stores[name](prefix)
+}
+
+const limiter = ({ name, windowMs, limit, keyGenerator, skip, store = createStore(`${name}:`) }) =>
+  rateLimit({
+    windowMs,
+    limit,
+    keyGenerator,
+    skip,
+    store,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+      res.status(options.statusCode).json({
+        success: false,
+        error: "Too many requests, please try again later",
+        statusCode: options.statusCode,
+      })
+    },
+  })
+
+const envLimit = (key, fallback) => Number.parseInt(process.env[key] || fallback)
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000
+
+// Per-IP limit shared by the unauthenticated auth endpoints
+export const authIpLimiter = limiter({
+  name: "auth-ip",
+  windowMs: FIFTEEN_MINUTES,
+  limit: envLimit("AUTH_RATE_LIMIT_PER_IP", "50"),
+  keyGenerator: (req) => ipKeyGenerator(req.ip),
+})
+
+// Per-account limit keyed on the submitted email, so spreading an attack
+// across many IPs doesn't help. Google sign-in has no email until the token
+// is verified, so it is only limited per IP.
+export const authAccountLimiter = limiter({
+  name: "auth-account",
+  windowMs: FIFTEEN_MINUTES,
+  limit: envLimit("AUTH_RATE_LIMIT_PER_ACCOUNT", "10"),
+  keyGenerator: (req) => String(req.body?.email).toLowerCase(),
+  skip: (req) => typeof req.body?.email !== "string",
+})
+
+const insightGenerationStore = createStore("insight-generate:")
+
+// Every generation costs LLM credits, so limit per user. Must run after authentication.
+export const insightGenerationLimiter = limiter({
+  windowMs: 60 * 60 * 1000,
+  limit: envLimit("INSIGHT_RATE_LIMIT_PER_HOUR", "30"),
+  keyGenerator: (req) => req.user.sub,
+  store: insightGenerationStore,
+})
+
+// Counts the rest of a request that asks for several generations at once
+// against insightGenerationLimiter, which already counted the first. Throws a
+// 429 without counting anything when they don't all fit in the limit.
+export const consumeInsightGenerations = async (req, count) => {
+  if (count <= 1) return
+
+  if (count - 1 > req.rateLimit.remaining) {
+    const error = new Error(
+      `Only ${req.rateLimit.remaining + 1} more insight generations are allowed this hour, please try again later`,
+    )
+    error.statusCode = 429
+    throw error
+  }
+
+  for (let i = 1; i < count; i++) {
+    await insightGenerationStore.increment(req.user.sub)
+  }
+}
@@ -0,0 +1,73 @@
+import mongoose from "mongoose"
+import Workspace, { WORKSPACE_ROLES } from "../models/Workspace.js"
+import Entity from "../models/Entity.js"
+import Insight from "../models/Insight.js"
+
+// Finds or creates the user's personal workspace. Entities and insights from
+// before workspaces existed only have a userId, so they are moved into it
+// when it is first created.
+export const ensurePersonalWorkspace = async (userId) => {
+  const existing = await Workspace.findOne({ ownerId: userId, personal: true })
+  if (existing) return existing
+
+  let workspace
+  try {
+    workspace = await Workspace.create({
+      name: "Personal",
+      ownerId: userId,
+      personal: true,
+      members: [{ userId, role: "owner" }],
+    })
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return Workspace.findOne({ ownerId: userId, personal: true })
+    }
+    throw error
+  }
+
+  await Entity.updateMany({ userId, workspaceId: null }, { workspaceId: workspace._id })
+  await Insight.updateMany({ userId, workspaceId: null }, { workspaceId: workspace._id })
+
+  return workspace
+}
+
+export const hasRole = (role, minRole) => WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole)
+
+// Sets req.workspace and req.workspaceRole from the :workspaceId route param or
+// the X-Workspace-Id header, falling back to the user's personal workspace.
+// Must run after authenticateToken.
+export const resolveWorkspace = async (req, res, next) => {
+  const workspaceId = req.params.workspaceId || req.get("x-workspace-id")
+
+  let workspace
+  if (workspaceId) {
+    workspace = mongoose.isValidObjectId(workspaceId) ? await Workspace.findById(workspaceId) : null
+  } else {
+    workspace = await ensurePersonalWorkspace(req.user.sub)
+  }
+
+  const role = workspace && workspace.roleOf(req.user.sub)
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      error: "Workspace not found",
+      statusCode: 404,
+    })
+  }
+
+  req.workspace = workspace
+  req.workspaceRole = role
+  next()
+}
+
+export const requireRole = (minRole) => (req, res, next) => {
+  if (!hasRole(req.workspaceRole, minRole)) {
+    return res.status(403).json({
+      success: false,
+      error: `This action requires the ${minRole} role`,
+      statusCode: 403,
+    })
+  }
+  next()
+}
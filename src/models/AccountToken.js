@@ -0,0 +1,64 @@
+import mongoose from "mongoose"
+import { hashToken, randomToken } from "../utils/tokens.js"
+
+const accountTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false },
+)
+
+// Index for better query performance
+accountTokenSchema.index({ userId: 1, purpose: 1 })
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Create a token for the user, invalidating any earlier one for the same
+// purpose. Returns the raw token, which is never stored.
+accountTokenSchema.statics.issue = async function (userId, purpose, ttlMs) {
+  await this.updateMany({ userId, purpose, usedAt: null }, { usedAt: new Date() })
+
+  const token = randomToken(32)
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  })
+
+  return token
+}
+
+// Atomically mark a token as used, returning null if it is unknown,
+// expired or was already used
+accountTokenSchema.statics.consume = function (token, purpose) {
+  const now = new Date()
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+  )
+}
+
+export default mongoose.model("AccountToken", accountTokenSchema)
@@ -0,0 +1,60 @@
+import mongoose from "mongoose"
+
+export const API_KEY_SCOPES = [
+  "entities:read",
+  "entities:write",
+  "insights:read",
+  "insights:generate",
+  "analytics:read",
+  "events:write",
+]
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // First characters of the key so users can tell their keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      required: true,
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    revokedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false },
+)
+
+// Index for better query performance
+apiKeySchema.index({ userId: 1, createdAt: -1 })
+
+// Never expose the hash
+apiKeySchema.methods.toJSON = function () {
+  const apiKey = this.toObject()
+  delete apiKey.keyHash
+  delete apiKey.__v
+  return apiKey
+}
+
+export default mongoose.model("ApiKey", apiKeySchema)
@@ -0,0 +1,82 @@
+import mongoose from "mongoose"
+
+export const AUDIT_ACTIONS = [
+  "create",
+  "update",
+  "delete",
+  "restore",
+  "generate",
+  "reset_password",
+  "verify_email",
+  "enable_2fa",
+  "disable_2fa",
+  "regenerate_recovery_codes",
+]
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Set when the actor authenticated with an API key instead of a login
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    // Missing for account-level changes such as profile updates
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    resourceType: {
+      type: String,
+      enum: ["entity", "insight", "user"],
+      required: true,
+    },
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Field-level diff: { field: { before, after } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: String,
+    userAgent: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false, minimize: false },
+)
+
+// Index for better query performance
+auditLogSchema.index({ workspaceId: 1, createdAt: -1 })
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 })
+auditLogSchema.index({ actorId: 1, createdAt: -1 })
+
+// The audit trail is append-only, refuse anything that would rewrite it
+const rejectMutation = function () {
+  throw new Error("Audit log entries can't be modified or deleted")
+}
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation()
+})
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectMutation,
+)
+auditLogSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], { document: false, query: true }, rejectMutation)
+auditLogSchema.pre("deleteOne", { document: true, query: false }, rejectMutation)
+
+export default mongoose.model("AuditLog", auditLogSchema)
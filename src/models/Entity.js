@@ -2,6 +2,12 @@ import mongoose from "mongoose"
 
 const entitySchema = new mongoose.Schema(
   {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+    },
+    // The member who created it
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -33,6 +39,20 @@ const entitySchema = new mongoose.Schema(
       score: { type: Number, default: 0 },
     },
     insights: String,
+    // Number of the latest EntityRevision
+    revision: {
+      type: Number,
+      default: 0,
+    },
+    // Set while the entity is in the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -46,7 +66,18 @@ const entitySchema = new mongoose.Schema(
 )
 
 // Index for better query performance
-entitySchema.index({ userId: 1, createdAt: -1 })
-entitySchema.index({ userId: 1, category: 1 })
+// Live entities in a workspace by age: the default list order, the dashboard
+// and the entities-created analytics series
+entitySchema.index({ workspaceId: 1, deletedAt: 1, createdAt: -1 })
+entitySchema.index({ workspaceId: 1, category: 1 })
+entitySchema.index({ userId: 1 })
+// Trash listing, and finding trashed entities due for purging
+entitySchema.index({ workspaceId: 1, deletedAt: -1 })
+entitySchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } })
+// Full-text search, always scoped to one workspace
+entitySchema.index(
+  { workspaceId: 1, title: "text", tags: "text", description: "text" },
+  { name: "entity_text_search", weights: { title: 10, tags: 5, description: 1 } },
+)
 
 export default mongoose.model("Entity", entitySchema)
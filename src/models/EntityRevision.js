@@ -0,0 +1,65 @@
+import mongoose from "mongoose"
+
+// Fields whose history is kept
+export const REVISED_FIELDS = ["title", "description", "category", "status", "priority", "tags"]
+
+const entityRevisionSchema = new mongoose.Schema(
+  {
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Entity",
+      required: true,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+    },
+    // 1 for the first revision of an entity, counting up
+    revision: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "revert"],
+      required: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    // For reverts, the revision whose state was restored
+    revertedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EntityRevision",
+    },
+    // Field-level diff: { field: { before, after } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // The revised fields as they were after this revision
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false },
+)
+
+// Index for better query performance. Also stops two concurrent writes from
+// claiming the same revision number.
+entityRevisionSchema.index({ entityId: 1, revision: -1 }, { unique: true })
+entityRevisionSchema.index({ workspaceId: 1 })
+
+export default mongoose.model("EntityRevision", entityRevisionSchema)
@@ -1,7 +1,19 @@
 import mongoose from "mongoose"
 
+// Filter for insights about any of the entities, whether linked through
+// entityId or generated from them
+export const linkedToEntities = (entityIds) => ({
+  $or: [{ entityId: { $in: entityIds } }, { "inputs.entities.entityId": { $in: entityIds } }],
+})
+
 const insightSchema = new mongoose.Schema(
   {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+    },
+    // The member who created it
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -29,6 +41,33 @@ const insightSchema = new mongoose.Schema(
       min: 0,
       max: 1,
     },
+    // What a generated insight was based on: the prompt, the entities at the
+    // revision the model saw, and activity from activitySince until createdAt
+    inputs: {
+      prompt: String,
+      category: String,
+      entities: [
+        {
+          _id: false,
+          entityId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Entity",
+          },
+          revision: Number,
+          // Set while the entity is in the trash, and for good once it's purged
+          missing: Boolean,
+        },
+      ],
+      activitySince: Date,
+    },
+    // The LLM that generated it
+    provider: String,
+    model: String,
+    // Set while the linked entity is in the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -38,6 +77,9 @@ const insightSchema = new mongoose.Schema(
 )
 
 // Index for better query performance
-insightSchema.index({ userId: 1, createdAt: -1 })
+insightSchema.index({ workspaceId: 1, createdAt: -1 })
+insightSchema.index({ userId: 1 })
+insightSchema.index({ entityId: 1 })
+insightSchema.index({ "inputs.entities.entityId": 1 })
 
 export default mongoose.model("Insight", insightSchema)
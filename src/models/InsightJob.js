@@ -0,0 +1,83 @@
+import mongoose from "mongoose"
+
+export const INSIGHT_JOB_STATUSES = ["pending", "running", "succeeded", "failed", "cancelled"]
+
+const insightJobSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+    },
+    // The member who submitted it; the insight is generated on their behalf
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    ip: String,
+    userAgent: String,
+    // The validated /api/insights/generate body
+    input: {
+      prompt: String,
+      entityId: String,
+      entityIds: {
+        type: [String],
+        default: undefined,
+      },
+      category: String,
+    },
+    status: {
+      type: String,
+      enum: INSIGHT_JOB_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    // Not picked up before this; pushed back between retries
+    runAfter: {
+      type: Date,
+      default: Date.now,
+    },
+    // The worker running the job keeps renewing its lease. One that ran out
+    // means the worker died and another can take the job over.
+    lockedBy: String,
+    lockedUntil: Date,
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    insightId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Insight",
+    },
+    // Why the last attempt failed
+    lastError: {
+      message: String,
+      statusCode: Number,
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    // Set when the job finishes, the TTL index removes it after that
+    expiresAt: Date,
+  },
+  { timestamps: true },
+)
+
+// Index for better query performance
+insightJobSchema.index({ status: 1, runAfter: 1 })
+insightJobSchema.index({ workspaceId: 1, createdAt: -1 })
+insightJobSchema.index({ userId: 1 })
+insightJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model("InsightJob", insightJobSchema)
@@ -0,0 +1,63 @@
+import mongoose from "mongoose"
+
+export const METRIC_EVENT_TYPES = ["view", "engagement"]
+
+// One view or engagement event for an entity. Kept in a regular collection
+// rather than a MongoDB time-series one because deduplication needs a unique
+// index, which time-series collections don't support.
+const metricEventSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Entity",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: METRIC_EVENT_TYPES,
+      required: true,
+    },
+    value: {
+      type: Number,
+      default: 1,
+    },
+    // When the event happened according to the client
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+    // Optional client-generated id; an event with an id already seen in the
+    // workspace is ignored
+    clientEventId: String,
+    // The member or API key that sent it
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false },
+)
+
+// Index for better query performance
+metricEventSchema.index({ workspaceId: 1, occurredAt: -1 })
+metricEventSchema.index({ entityId: 1, occurredAt: -1 })
+metricEventSchema.index(
+  { workspaceId: 1, clientEventId: 1 },
+  { unique: true, partialFilterExpression: { clientEventId: { $type: "string" } } },
+)
+
+export default mongoose.model("MetricEvent", metricEventSchema)
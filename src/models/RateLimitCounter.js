@@ -0,0 +1,25 @@
+import mongoose from "mongoose"
+
+// Hit counters for the shared rate limit store, one document per client key
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    resetAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: false },
+)
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model("RateLimitCounter", rateLimitCounterSchema)
@@ -0,0 +1,42 @@
+import mongoose from "mongoose"
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // All tokens rotated from the same login share a family
+    family: {
+      type: String,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["rotated", "logout", "reuse_detected", "password_reset", "user_deleted"],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false },
+)
+
+// Index for better query performance
+refreshTokenSchema.index({ family: 1 })
+// Let MongoDB purge tokens once they can no longer be used
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model("RefreshToken", refreshTokenSchema)
@@ -0,0 +1,34 @@
+import mongoose from "mongoose"
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    userAgent: String,
+    ip: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed forward on every refresh, matches the newest refresh token
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false },
+)
+
+// Index for better query performance
+sessionSchema.index({ userId: 1, lastSeenAt: -1 })
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model("Session", sessionSchema)
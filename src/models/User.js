@@ -1,5 +1,13 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { verifyTotp } from "../utils/totp.js";
+import { hashToken } from "../utils/tokens.js";
+
+// Failed password attempts allowed before the account locks. Each further
+// failure doubles the lock, starting at one minute and capped at one hour.
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
 
 const userSchema = new mongoose.Schema(
   {
@@ -10,6 +18,10 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
     passwordHash: String,
     name: {
       type: String,
@@ -21,6 +33,22 @@ const userSchema = new mongoose.Schema(
       unique: true,
       sparse: true,
     },
+    // Set when the user asks to delete their account, purged once it passes
+    deletionScheduledAt: Date,
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: String,
+      // Set during enrollment until the first code is confirmed
+      pendingSecret: String,
+      recoveryCodeHashes: [String],
+      // Last accepted TOTP time step, so a code can't be replayed
+      lastUsedStep: Number,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -33,6 +61,8 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+userSchema.index({ deletionScheduledAt: 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre("save", async function () {
   if (!this.isModified("passwordHash")) return;
@@ -46,11 +76,63 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Counted atomically so parallel guesses can't slip past the threshold
+userSchema.methods.registerFailedLogin = async function () {
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (failedLoginAttempts >= LOCKOUT_THRESHOLD) {
+    const lockMs = Math.min(BASE_LOCKOUT_MS * 2 ** (failedLoginAttempts - LOCKOUT_THRESHOLD), MAX_LOCKOUT_MS);
+    await this.constructor.updateOne({ _id: this._id }, { lockedUntil: new Date(Date.now() + lockMs) });
+  }
+};
+
+userSchema.methods.resetFailedLogins = async function () {
+  if (this.failedLoginAttempts > 0 || this.lockedUntil) {
+    await this.constructor.updateOne({ _id: this._id }, { failedLoginAttempts: 0, $unset: { lockedUntil: 1 } });
+  }
+};
+
+// Check a TOTP or one-time recovery code, consuming it on success.
+// The caller is responsible for saving the user afterwards.
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  const normalized = String(code).replace(/\s+/g, "");
+
+  const step = verifyTotp(this.twoFactor.secret, normalized);
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const recoveryHash = hashToken(normalized.toLowerCase());
+  const index = this.twoFactor.recoveryCodeHashes.indexOf(recoveryHash);
+  if (index !== -1) {
+    this.twoFactor.recoveryCodeHashes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
 // Remove sensitive data from response
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.passwordHash;
+  delete user.failedLoginAttempts;
+  delete user.lockedUntil;
   delete user.__v;
+  user.twoFactorEnabled = Boolean(user.twoFactor?.enabled);
+  delete user.twoFactor;
   return user;
 };
 
@@ -0,0 +1,89 @@
+import mongoose from "mongoose"
+
+// Ordered from least to most privileged
+export const WORKSPACE_ROLES = ["viewer", "editor", "admin", "owner"]
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: WORKSPACE_ROLES,
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// Overrides of the LLM_* environment settings for insight generation
+const llmSettingsSchema = new mongoose.Schema(
+  {
+    provider: String,
+    model: String,
+    maxTokens: Number,
+    temperature: Number,
+  },
+  { _id: false },
+)
+
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Every user gets one personal workspace, created on first use
+    personal: {
+      type: Boolean,
+      default: false,
+    },
+    members: [memberSchema],
+    settings: {
+      llm: {
+        type: llmSettingsSchema,
+        default: undefined,
+      },
+    },
+    // Bumped on every change to the workspace's entities or their metrics so
+    // cached analytics can tell they are stale
+    dataVersion: {
+      type: Number,
+      default: 0,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true },
+)
+
+// Index for better query performance
+workspaceSchema.index({ "members.userId": 1 })
+workspaceSchema.index({ ownerId: 1 }, { unique: true, partialFilterExpression: { personal: true } })
+
+// Returns the member's role, or null if the user doesn't belong to the workspace
+workspaceSchema.methods.roleOf = function (userId) {
+  const member = this.members.find((m) => m.userId.toString() === userId.toString())
+  return member ? member.role : null
+}
+
+export default mongoose.model("Workspace", workspaceSchema)
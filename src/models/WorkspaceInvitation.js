@@ -0,0 +1,60 @@
+import mongoose from "mongoose"
+
+const workspaceInvitationSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["viewer", "editor", "admin"],
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false },
+)
+
+// Index for better query performance
+workspaceInvitationSchema.index({ workspaceId: 1, status: 1 })
+
+// Hide the token hash from API responses
+workspaceInvitationSchema.methods.toJSON = function () {
+  const invitation = this.toObject()
+  delete invitation.tokenHash
+  delete invitation.__v
+  return invitation
+}
+
+export default mongoose.model("WorkspaceInvitation", workspaceInvitationSchema)
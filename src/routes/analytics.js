@@ -1,6 +1,23 @@
 import express from "express"
-import Entity from "../models/Entity.js"
-import { authenticateToken } from "../middleware/auth.js"
+import Joi from "joi"
+import { authenticateWithScope } from "../middleware/auth.js"
+import { resolveWorkspace } from "../middleware/workspace.js"
+import {
+  PERIODS,
+  BREAKDOWN_FIELDS,
+  BREAKDOWN_METRICS,
+  COMPARISONS,
+  timeZoneSchema,
+  resolveDate,
+  cachedAnalytics,
+  dashboardStats,
+  performanceSeries,
+  breakdownStats,
+  comparisonRange,
+  compareStats,
+} from "../services/analytics.js"
+import { ENTITY_FILTER_KEYS, toMongoFilter, rawEntityFilters } from "../utils/entityQuery.js"
+import { WEEKDAYS } from "../utils/timezone.js"
 
 const router = express.Router()
 
@@ -9,48 +26,51 @@ const router = express.Router()
  * /api/analytics/dashboard:
  *   get:
  *     summary: Get dashboard statistics
+ *     description: >-
+ *       trend compares entities created this calendar month with last month, in the
+ *       given time zone. Results are cached until an entity or its metrics change; the
+ *       X-Cache response header says whether this one came from the cache.
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: timezone
+ *         in: query
+ *         description: IANA time zone, e.g. Europe/Berlin
+ *         schema:
+ *           type: string
+ *           default: UTC
  *     responses:
  *       200:
  *         description: Dashboard statistics
+ *         headers:
+ *           X-Cache:
+ *             $ref: '#/components/headers/X-Cache'
+ *       400:
+ *         description: Invalid time zone
  */
-router.get("/dashboard", authenticateToken, async (req, res, next) => {
+router.get("/dashboard", authenticateWithScope("analytics:read"), resolveWorkspace, async (req, res, next) => {
   try {
-    const entities = await Entity.find({ userId: req.user.sub })
-
-    const totalEntities = entities.length
-    const activeEntities = entities.filter((e) => e.status === "active").length
-    const totalViews = entities.reduce((sum, e) => sum + (e.metrics.views || 0), 0)
-    const avgEngagement =
-      entities.length > 0 ? entities.reduce((sum, e) => sum + (e.metrics.engagement || 0), 0) / entities.length : 0
-
-    // Calculate trend (simplified - compare this month to last month)
-    const now = new Date()
-    const thisMonthEntities = entities.filter((e) => {
-      const created = new Date(e.createdAt)
-      return created.getMonth() === now.getMonth() && created.getFullYear() === now.getFullYear()
-    }).length
-
-    const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1)
-    const lastMonthEntities = entities.filter((e) => {
-      const created = new Date(e.createdAt)
-      return created.getMonth() === lastMonth.getMonth() && created.getFullYear() === lastMonth.getFullYear()
-    }).length
-
-    const trend =
-      lastMonthEntities > 0 ? Math.round(((thisMonthEntities - lastMonthEntities) / lastMonthEntities) * 100) : 0
+    const schema = Joi.object({ timezone: timeZoneSchema })
+
+    const { error, value } = schema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
 
+    const { value: data, cacheStatus } = await cachedAnalytics(req.workspace, "dashboard", value, () =>
+      dashboardStats(req.workspace._id, { timeZone: value.timezone }),
+    )
+
+    res.setHeader("X-Cache", cacheStatus)
     res.status(200).json({
       success: true,
-      data: {
-        totalEntities,
-        activeEntities,
-        avgEngagement: Math.round(avgEngagement * 10) / 10,
-        totalViews,
-        trend,
-      },
+      data,
     })
   } catch (error) {
     next(error)
@@ -62,86 +82,384 @@ router.get("/dashboard", authenticateToken, async (req, res, next) => {
  * /api/analytics/performance:
  *   get:
  *     summary: Get performance trends
+ *     description: >-
+ *       Views and engagement per period, counted when the activity happened, and the
+ *       number of entities created in each period. Periods follow the calendar of the
+ *       given time zone, and periods without activity are returned as zeros. Cached like
+ *       the dashboard.
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
  *       - name: startDate
  *         in: query
  *         required: true
+ *         description: A date (start of that day in the time zone) or an ISO timestamp
  *         schema:
  *           type: string
- *           format: date
  *       - name: endDate
  *         in: query
  *         required: true
+ *         description: A date (end of that day in the time zone) or an ISO timestamp
  *         schema:
  *           type: string
- *           format: date
  *       - name: period
  *         in: query
  *         schema:
  *           type: string
  *           enum: [daily, weekly, monthly]
  *           default: daily
+ *       - name: timezone
+ *         in: query
+ *         description: IANA time zone, e.g. Europe/Berlin
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *       - name: weekStart
+ *         in: query
+ *         description: First day of the week for weekly periods
+ *         schema:
+ *           type: string
+ *           enum: [sunday, monday, tuesday, wednesday, thursday, friday, saturday]
+ *           default: sunday
  *     responses:
  *       200:
- *         description: Performance trends
+ *         description: One entry per period, keyed by its first day (YYYY-MM-DD) or month (YYYY-MM)
+ *         headers:
+ *           X-Cache:
+ *             $ref: '#/components/headers/X-Cache'
+ *       400:
+ *         description: Invalid parameters or a range with too many periods
  */
-router.get("/performance", authenticateToken, async (req, res, next) => {
+router.get("/performance", authenticateWithScope("analytics:read"), resolveWorkspace, async (req, res, next) => {
   try {
-    const startDate = new Date(req.query.startDate)
-    const endDate = new Date(req.query.endDate)
-    const period = req.query.period || "daily"
+    const schema = Joi.object({
+      startDate: Joi.string().required(),
+      endDate: Joi.string().required(),
+      period: Joi.string()
+        .valid(...Object.keys(PERIODS))
+        .default("daily"),
+      timezone: timeZoneSchema,
+      weekStart: Joi.string()
+        .lowercase()
+        .valid(...WEEKDAYS)
+        .default("sunday"),
+    })
 
-    if (isNaN(startDate) || isNaN(endDate)) {
+    const { error, value } = schema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const start = resolveDate(value.startDate, value.timezone)
+    const end = resolveDate(value.endDate, value.timezone, { endOfDay: true })
+    if (!start || !end) {
       return res.status(400).json({
         success: false,
         error: "Invalid date format",
         statusCode: 400,
       })
     }
+    if (start > end) {
+      return res.status(400).json({
+        success: false,
+        error: "startDate must be before endDate",
+        statusCode: 400,
+      })
+    }
+
+    const options = { start, end, period: value.period, timeZone: value.timezone, weekStart: value.weekStart }
+    const { value: data, cacheStatus } = await cachedAnalytics(req.workspace, "performance", options, () =>
+      performanceSeries(req.workspace._id, options),
+    )
 
-    const entities = await Entity.find({
-      userId: req.user.sub,
-      createdAt: {
-        $gte: startDate,
-        $lte: endDate,
-      },
+    res.setHeader("X-Cache", cacheStatus)
+    res.status(200).json({
+      success: true,
+      data,
     })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    const performanceMap = {}
+/**
+ * @swagger
+ * /api/analytics/breakdown:
+ *   get:
+ *     summary: Break entities down by category, priority, status or tag
+ *     description: >-
+ *       One group per value of groupBy with its entity count, the total and average
+ *       views, engagement and score, and its top entities by metric. With tag, an entity
+ *       counts towards each of its tags and untagged entities are grouped under null.
+ *       Without a date range the entities' lifetime metrics are used; with one, only
+ *       activity that happened in it. Accepts the entity list filters (category, status,
+ *       priority, tags.any, tags.all and the .gt/.gte/.lt/.lte ranges). Cached like the
+ *       dashboard.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: groupBy
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [category, priority, status, tag]
+ *       - name: metric
+ *         in: query
+ *         description: Orders the groups and picks their top entities
+ *         schema:
+ *           type: string
+ *           enum: [views, engagement, score]
+ *           default: views
+ *       - name: top
+ *         in: query
+ *         description: Top entities returned per group
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 5
+ *       - name: startDate
+ *         in: query
+ *         description: A date (start of that day in the time zone) or an ISO timestamp. Requires endDate.
+ *         schema:
+ *           type: string
+ *       - name: endDate
+ *         in: query
+ *         description: A date (end of that day in the time zone) or an ISO timestamp. Requires startDate.
+ *         schema:
+ *           type: string
+ *       - name: timezone
+ *         in: query
+ *         description: IANA time zone, e.g. Europe/Berlin
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *       - name: category
+ *         in: query
+ *         description: Comma-separated categories
+ *         schema:
+ *           type: string
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: priority
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Groups, largest metric total first
+ *         headers:
+ *           X-Cache:
+ *             $ref: '#/components/headers/X-Cache'
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get("/breakdown", authenticateWithScope("analytics:read"), resolveWorkspace, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      groupBy: Joi.string()
+        .valid(...BREAKDOWN_FIELDS)
+        .required(),
+      metric: Joi.string()
+        .valid(...BREAKDOWN_METRICS)
+        .default("views"),
+      top: Joi.number().integer().min(1).max(20).default(5),
+      startDate: Joi.string(),
+      endDate: Joi.string(),
+      timezone: timeZoneSchema,
+      ...ENTITY_FILTER_KEYS,
+    })
+      .and("startDate", "endDate")
+      .messages({
+        "object.and": "startDate and endDate must be given together",
+        "object.unknown": "Unknown filter {{#label}}",
+      })
 
-    entities.forEach((entity) => {
-      let dateKey
-      const entityDate = new Date(entity.createdAt)
+    const { error, value } = schema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
 
-      if (period === "daily") {
-        dateKey = entityDate.toISOString().split("T")[0]
-      } else if (period === "weekly") {
-        const weekStart = new Date(entityDate)
-        weekStart.setDate(entityDate.getDate() - entityDate.getDay())
-        dateKey = weekStart.toISOString().split("T")[0]
-      } else if (period === "monthly") {
-        dateKey = entityDate.toISOString().split("T")[0].substring(0, 7)
+    let start
+    let end
+    if (value.startDate) {
+      start = resolveDate(value.startDate, value.timezone)
+      end = resolveDate(value.endDate, value.timezone, { endOfDay: true })
+      if (!start || !end) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid date format",
+          statusCode: 400,
+        })
       }
-
-      if (!performanceMap[dateKey]) {
-        performanceMap[dateKey] = {
-          date: dateKey,
-          entities: 0,
-          views: 0,
-          engagement: 0,
-        }
+      if (start > end) {
+        return res.status(400).json({
+          success: false,
+          error: "startDate must be before endDate",
+          statusCode: 400,
+        })
       }
+    }
+
+    const options = {
+      groupBy: value.groupBy,
+      metric: value.metric,
+      top: value.top,
+      filter: toMongoFilter(value),
+      start,
+      end,
+    }
+    // Keyed on the filters as sent, so relative times hit the cache until it expires
+    const cacheParams = { ...options, filter: rawEntityFilters(req.query) }
+    const { value: data, cacheStatus } = await cachedAnalytics(req.workspace, "breakdown", cacheParams, () =>
+      breakdownStats(req.workspace._id, options),
+    )
+
+    res.setHeader("X-Cache", cacheStatus)
+    res.status(200).json({
+      success: true,
+      data: { groupBy: value.groupBy, metric: value.metric, groups: data },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
 
-      performanceMap[dateKey].entities += 1
-      performanceMap[dateKey].views += entity.metrics.views || 0
-      performanceMap[dateKey].engagement += entity.metrics.engagement || 0
+/**
+ * @swagger
+ * /api/analytics/compare:
+ *   get:
+ *     summary: Compare two date ranges
+ *     description: >-
+ *       Entities created, and views, engagement and score (engagement per view) from
+ *       activity in each range, with the absolute change and the change in percent.
+ *       changePercent is null when the previous value is 0 and the current one isn't.
+ *       compareTo picks the other range - the one just before of the same length, the
+ *       same dates a year earlier, or compareStartDate to compareEndDate. Accepts the
+ *       entity list filters like the breakdown. Cached like the dashboard.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: startDate
+ *         in: query
+ *         required: true
+ *         description: A date (start of that day in the time zone) or an ISO timestamp
+ *         schema:
+ *           type: string
+ *       - name: endDate
+ *         in: query
+ *         required: true
+ *         description: A date (end of that day in the time zone) or an ISO timestamp
+ *         schema:
+ *           type: string
+ *       - name: compareTo
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [previousPeriod, previousYear, custom]
+ *           default: previousPeriod
+ *       - name: compareStartDate
+ *         in: query
+ *         description: Start of the other range, required with compareTo=custom
+ *         schema:
+ *           type: string
+ *       - name: compareEndDate
+ *         in: query
+ *         description: End of the other range, required with compareTo=custom
+ *         schema:
+ *           type: string
+ *       - name: timezone
+ *         in: query
+ *         description: IANA time zone, e.g. Europe/Berlin
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *     responses:
+ *       200:
+ *         description: Both ranges and a { current, previous, change, changePercent } entry per metric
+ *         headers:
+ *           X-Cache:
+ *             $ref: '#/components/headers/X-Cache'
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get("/compare", authenticateWithScope("analytics:read"), resolveWorkspace, async (req, res, next) => {
+  try {
+    const customDate = Joi.string().when("compareTo", {
+      is: "custom",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
     })
+    const schema = Joi.object({
+      startDate: Joi.string().required(),
+      endDate: Joi.string().required(),
+      compareTo: Joi.string()
+        .valid(...COMPARISONS)
+        .default("previousPeriod"),
+      compareStartDate: customDate,
+      compareEndDate: customDate,
+      timezone: timeZoneSchema,
+      ...ENTITY_FILTER_KEYS,
+    }).messages({ "object.unknown": "Unknown filter {{#label}}" })
+
+    const { error, value } = schema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
 
-    const data = Object.values(performanceMap).sort((a, b) => new Date(a.date) - new Date(b.date))
+    const readRange = (startDate, endDate) => {
+      const start = resolveDate(startDate, value.timezone)
+      const end = resolveDate(endDate, value.timezone, { endOfDay: true })
+      if (!start || !end) return { error: "Invalid date format" }
+      if (start > end) return { error: "startDate must be before endDate" }
+      return { range: { start, end } }
+    }
+
+    const current = readRange(value.startDate, value.endDate)
+    const custom = value.compareTo === "custom" ? readRange(value.compareStartDate, value.compareEndDate) : {}
+    const rangeError = current.error || custom.error
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: rangeError,
+        statusCode: 400,
+      })
+    }
+
+    const { start, end } = current.range
+    const options = {
+      filter: toMongoFilter(value),
+      current: current.range,
+      previous: custom.range || comparisonRange(start, end, { compareTo: value.compareTo, timeZone: value.timezone }),
+    }
+    // Keyed on the filters as sent, so relative times hit the cache until it expires
+    const cacheParams = { ...options, filter: rawEntityFilters(req.query) }
+    const { value: data, cacheStatus } = await cachedAnalytics(req.workspace, "compare", cacheParams, () =>
+      compareStats(req.workspace._id, options),
+    )
 
+    res.setHeader("X-Cache", cacheStatus)
     res.status(200).json({
       success: true,
       data,
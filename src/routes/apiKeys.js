@@ -0,0 +1,155 @@
+import express from "express"
+import Joi from "joi"
+import ApiKey, { API_KEY_SCOPES } from "../models/ApiKey.js"
+import { authenticateToken, API_KEY_PREFIX } from "../middleware/auth.js"
+import { hashToken, randomToken } from "../utils/tokens.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List the current user's API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys without their secret part
+ */
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.sub, revokedAt: null }).sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The full key is only returned in this response. Send it as a bearer token.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum:
+ *                     - entities:read
+ *                     - entities:write
+ *                     - insights:read
+ *                     - insights:generate
+ *                     - analytics:read
+ *                     - events:write
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation error
+ */
+router.post("/", authenticateToken, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      scopes: Joi.array()
+        .items(Joi.string().valid(...API_KEY_SCOPES))
+        .min(1)
+        .unique()
+        .required(),
+      expiresAt: Joi.date().greater("now"),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const key = API_KEY_PREFIX + randomToken(32)
+    const apiKey = await ApiKey.create({
+      ...value,
+      userId: req.user.sub,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: hashToken(key),
+    })
+
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey.toJSON(), key },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete("/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.sub, revokedAt: null },
+      { revokedAt: new Date() },
+    )
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+        statusCode: 404,
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,149 @@
+import express from "express"
+import Joi from "joi"
+import AuditLog, { AUDIT_ACTIONS } from "../models/AuditLog.js"
+import { authenticateToken } from "../middleware/auth.js"
+import { resolveWorkspace, hasRole } from "../middleware/workspace.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log of the active workspace
+ *     description: >-
+ *       Admins see every record in the workspace, other members only their own.
+ *       In the personal workspace the user's account-level changes are included too.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: resourceType
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [entity, insight, user]
+ *       - name: resourceId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: actorId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: action
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum:
+ *             - create
+ *             - update
+ *             - delete
+ *             - restore
+ *             - generate
+ *             - reset_password
+ *             - verify_email
+ *             - enable_2fa
+ *             - disable_2fa
+ *             - regenerate_recovery_codes
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit records, newest first
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Non-admin filtering by another actor
+ */
+router.get("/", authenticateToken, resolveWorkspace, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      resourceType: Joi.string().valid("entity", "insight", "user"),
+      resourceId: Joi.string().hex().length(24),
+      actorId: Joi.string().hex().length(24),
+      action: Joi.string().valid(...AUDIT_ACTIONS),
+      from: Joi.date().iso(),
+      to: Joi.date().iso(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+    })
+
+    const { error, value } = schema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const scope = [{ workspaceId: req.workspace._id }]
+    if (req.workspace.personal) {
+      scope.push({ workspaceId: null, actorId: req.user.sub })
+    }
+
+    const query = { $or: scope }
+    if (hasRole(req.workspaceRole, "admin")) {
+      if (value.actorId) query.actorId = value.actorId
+    } else {
+      if (value.actorId && value.actorId !== req.user.sub) {
+        return res.status(403).json({
+          success: false,
+          error: "Only admins can view other members' activity",
+          statusCode: 403,
+        })
+      }
+      query.actorId = req.user.sub
+    }
+    if (value.resourceType) query.resourceType = value.resourceType
+    if (value.resourceId) query.resourceId = value.resourceId
+    if (value.action) query.action = value.action
+    if (value.from || value.to) {
+      query.createdAt = {}
+      if (value.from) query.createdAt.$gte = value.from
+      if (value.to) query.createdAt.$lte = value.to
+    }
+
+    const records = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((value.page - 1) * value.limit)
+      .limit(value.limit)
+    const total = await AuditLog.countDocuments(query)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        records,
+        pagination: {
+          page: value.page,
+          limit: value.limit,
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
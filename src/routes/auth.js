@@ -1,12 +1,99 @@
+import crypto from "crypto"
 import express from "express"
 import Joi from "joi"
 import User from "../models/User.js"
-import { authenticateToken, generateTokens } from "../middleware/auth.js"
+import Session from "../models/Session.js"
+import AccountToken from "../models/AccountToken.js"
+import Entity from "../models/Entity.js"
+import Insight from "../models/Insight.js"
+import Workspace from "../models/Workspace.js"
+import ApiKey from "../models/ApiKey.js"
+import {
+  authenticateToken,
+  generateTokens,
+  startSession,
+  consumeRefreshToken,
+  revokeSessions,
+  generateChallengeToken,
+  verifyChallengeToken,
+} from "../middleware/auth.js"
+import { authIpLimiter, authAccountLimiter } from "../middleware/rateLimit.js"
+import { sendVerificationEmail, sendPasswordResetEmail } from "../services/mailer.js"
+import { recordAudit } from "../services/audit.js"
 import { OAuth2Client } from "google-auth-library"
+import { generateSecret, buildOtpauthUri, verifyTotp } from "../utils/totp.js"
+import { hashToken } from "../utils/tokens.js"
 
 const router = express.Router()
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID)
 
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000
+const RECOVERY_CODE_COUNT = 10
+// Accounts without a password prove who they are by having logged in recently
+const REAUTH_WINDOW_MS = 5 * 60 * 1000
+
+// Users with 2FA get a challenge to complete at /2fa/verify instead of tokens
+const loginResult = async (user, req) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user._id.toString()),
+    }
+  }
+
+  return sessionResult(user, req)
+}
+
+// Signing in takes back a scheduled account deletion, which the response notes
+const sessionResult = async (user, req) => {
+  const deletionCancelled = Boolean(user.deletionScheduledAt)
+  if (deletionCancelled) {
+    const before = user.toJSON()
+    user.deletionScheduledAt = undefined
+    user.updatedAt = new Date()
+    await user.save()
+    await recordAudit(req, {
+      actorId: user._id,
+      action: "restore",
+      resourceType: "user",
+      resourceId: user._id,
+      before,
+      after: user.toJSON(),
+    })
+  }
+
+  const tokens = await startSession(user, req)
+  return {
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    ...(deletionCancelled && { deletionCancelled: true }),
+  }
+}
+
+const lockedResponse = (res, user) => {
+  res.set("Retry-After", String(Math.ceil((user.lockedUntil - Date.now()) / 1000)))
+  return res.status(423).json({
+    success: false,
+    error: "Account temporarily locked after too many failed attempts",
+    statusCode: 423,
+  })
+}
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => crypto.randomBytes(5).toString("hex"))
+
+// A failed delivery shouldn't fail the request, the user can ask for another email
+const sendVerification = async (user) => {
+  try {
+    const token = await AccountToken.issue(user._id, "email_verification", EMAIL_VERIFICATION_TTL_MS)
+    await sendVerificationEmail(user, token)
+  } catch (error) {
+    console.error("Failed to send verification email:", error)
+  }
+}
+
 /**
  * @swagger
  * /api/auth/signup:
@@ -44,6 +131,8 @@ const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID)
  *                   properties:
  *                     accessToken:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
  *                     expiresIn:
  *                       type: number
  *       400:
@@ -51,7 +140,7 @@ const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID)
  *       500:
  *         description: Server error
  */
-router.post("/signup", async (req, res, next) => {
+router.post("/signup", authIpLimiter, authAccountLimiter, async (req, res, next) => {
   try {
     const schema = Joi.object({
       email: Joi.string().email().required(),
@@ -86,13 +175,15 @@ router.post("/signup", async (req, res, next) => {
     })
 
     await user.save()
+    await sendVerification(user)
 
-    const tokens = generateTokens(user._id.toString(), user.email)
+    const tokens = await startSession(user, req)
 
     res.status(201).json({
       success: true,
       data: {
         accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
         expiresIn: tokens.expiresIn,
       },
     })
@@ -106,6 +197,7 @@ router.post("/signup", async (req, res, next) => {
  * /api/auth/login:
  *   post:
  *     summary: Login with email and password
+ *     description: Logging in cancels a scheduled account deletion and sets deletionCancelled.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -122,11 +214,15 @@ router.post("/signup", async (req, res, next) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a challengeToken when 2FA is enabled
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after repeated failures
+ *       429:
+ *         description: Too many requests
  */
-router.post("/login", async (req, res, next) => {
+router.post("/login", authIpLimiter, authAccountLimiter, async (req, res, next) => {
   try {
     const schema = Joi.object({
       email: Joi.string().email().required(),
@@ -151,23 +247,24 @@ router.post("/login", async (req, res, next) => {
       })
     }
 
+    if (user.isLocked()) {
+      return lockedResponse(res, user)
+    }
+
     const isValidPassword = await user.comparePassword(value.password)
     if (!isValidPassword) {
+      await user.registerFailedLogin()
       return res.status(401).json({
         success: false,
         error: "Invalid email or password",
         statusCode: 401,
       })
     }
-
-    const tokens = generateTokens(user._id.toString(), user.email)
+    await user.resetFailedLogins()
 
     res.status(200).json({
       success: true,
-      data: {
-        accessToken: tokens.accessToken,
-        expiresIn: tokens.expiresIn,
-      },
+      data: await loginResult(user, req),
     })
   } catch (error) {
     next(error)
@@ -179,6 +276,7 @@ router.post("/login", async (req, res, next) => {
  * /api/auth/google:
  *   post:
  *     summary: Google OAuth login
+ *     description: Logging in cancels a scheduled account deletion and sets deletionCancelled.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -192,11 +290,11 @@ router.post("/login", async (req, res, next) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Google login successful
+ *         description: Google login successful, or a challengeToken when 2FA is enabled
  *       400:
  *         description: Invalid token
  */
-router.post("/google", async (req, res, next) => {
+router.post("/google", authIpLimiter, async (req, res, next) => {
   try {
     const { idToken } = req.body
 
@@ -214,7 +312,7 @@ router.post("/google", async (req, res, next) => {
       audience: process.env.GOOGLE_CLIENT_ID,
     })
 
-    const { email, name, picture } = ticket.getPayload()
+    const { email, name, picture, email_verified } = ticket.getPayload()
 
     // Find or create user
     let user = await User.findOne({ googleId: ticket.getPayload().sub })
@@ -224,26 +322,23 @@ router.post("/google", async (req, res, next) => {
 
       if (user) {
         user.googleId = ticket.getPayload().sub
+        user.emailVerified = user.emailVerified || Boolean(email_verified)
       } else {
         user = new User({
           email,
           name: name || email.split("@")[0],
           avatar: picture,
           googleId: ticket.getPayload().sub,
+          emailVerified: Boolean(email_verified),
         })
       }
 
       await user.save()
     }
 
-    const tokens = generateTokens(user._id.toString(), user.email)
-
     res.status(200).json({
       success: true,
-      data: {
-        accessToken: tokens.accessToken,
-        expiresIn: tokens.expiresIn,
-      },
+      data: await loginResult(user, req),
     })
   } catch (error) {
     res.status(400).json({
@@ -256,19 +351,99 @@ router.post("/google", async (req, res, next) => {
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user profile
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login for an account with 2FA enabled
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, code]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code or a recovery code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid challenge or code
+ *       423:
+ *         description: Account temporarily locked after repeated failures
+ */
+router.post("/2fa/verify", authIpLimiter, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      challengeToken: Joi.string().required(),
+      code: Joi.string().required(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const userId = verifyChallengeToken(value.challengeToken)
+    const user = userId && (await User.findById(userId))
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired challenge",
+        statusCode: 401,
+      })
+    }
+
+    if (user.isLocked()) {
+      return lockedResponse(res, user)
+    }
+
+    if (!user.verifyTwoFactorCode(value.code)) {
+      await user.registerFailedLogin()
+      return res.status(401).json({
+        success: false,
+        error: "Invalid two-factor code",
+        statusCode: 401,
+      })
+    }
+    await user.save()
+    await user.resetFailedLogins()
+
+    res.status(200).json({
+      success: true,
+      data: await sessionResult(user, req),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start 2FA enrollment
+ *     description: >-
+ *       Returns a new secret and otpauth URI to show as a QR code.
+ *       2FA is not active until confirmed with /2fa/enable.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: User profile retrieved
- *       401:
- *         description: Unauthorized
+ *         description: Secret and otpauth URI
+ *       400:
+ *         description: 2FA already enabled
  */
-router.get("/me", authenticateToken, async (req, res, next) => {
+router.post("/2fa/setup", authenticateToken, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.sub)
 
@@ -280,9 +455,24 @@ router.get("/me", authenticateToken, async (req, res, next) => {
       })
     }
 
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is already enabled",
+        statusCode: 400,
+      })
+    }
+
+    const secret = generateSecret()
+    user.twoFactor.pendingSecret = secret
+    await user.save()
+
     res.status(200).json({
       success: true,
-      data: user.toJSON(),
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email),
+      },
     })
   } catch (error) {
     next(error)
@@ -291,9 +481,10 @@ router.get("/me", authenticateToken, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/auth/profile:
- *   put:
- *     summary: Update user profile
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm 2FA enrollment with a code from the authenticator app
+ *     description: Returns one-time recovery codes. They are only shown once.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -303,23 +494,105 @@ router.get("/me", authenticateToken, async (req, res, next) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [code]
  *             properties:
- *               name:
+ *               code:
  *                 type: string
- *               avatar:
+ *     responses:
+ *       200:
+ *         description: 2FA enabled, recovery codes returned
+ *       400:
+ *         description: No enrollment in progress or invalid code
+ */
+router.post("/2fa/enable", authenticateToken, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      code: Joi.string().required(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const user = await User.findById(req.user.sub)
+    if (!user?.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor setup has not been started",
+        statusCode: 400,
+      })
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, value.code.replace(/\s+/g, ""))
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid two-factor code",
+        statusCode: 400,
+      })
+    }
+
+    const before = user.toJSON()
+    const recoveryCodes = generateRecoveryCodes()
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      recoveryCodeHashes: recoveryCodes.map(hashToken),
+      lastUsedStep: step,
+    }
+    user.updatedAt = new Date()
+    await user.save()
+    await recordAudit(req, {
+      action: "enable_2fa",
+      resourceType: "user",
+      resourceId: user._id,
+      before,
+      after: user.toJSON(),
+    })
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
  *                 type: string
- *                 format: uri
+ *                 description: Authenticator code or a recovery code
  *     responses:
  *       200:
- *         description: Profile updated
- *       401:
- *         description: Unauthorized
+ *         description: New recovery codes returned
+ *       400:
+ *         description: 2FA not enabled or invalid code
  */
-router.put("/profile", authenticateToken, async (req, res, next) => {
+router.post("/2fa/recovery-codes", authenticateToken, async (req, res, next) => {
   try {
     const schema = Joi.object({
-      name: Joi.string(),
-      avatar: Joi.string().uri(),
+      code: Joi.string().required(),
     })
 
     const { error, value } = schema.validate(req.body)
@@ -331,11 +604,27 @@ router.put("/profile", authenticateToken, async (req, res, next) => {
       })
     }
 
-    const user = await User.findByIdAndUpdate(req.user.sub, { ...value, updatedAt: new Date() }, { new: true })
+    const user = await User.findById(req.user.sub)
+    if (!user?.twoFactor?.enabled || !user.verifyTwoFactorCode(value.code)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid two-factor code",
+        statusCode: 400,
+      })
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+    user.twoFactor.recoveryCodeHashes = recoveryCodes.map(hashToken)
+    await user.save()
+    await recordAudit(req, {
+      action: "regenerate_recovery_codes",
+      resourceType: "user",
+      resourceId: user._id,
+    })
 
     res.status(200).json({
       success: true,
-      data: user.toJSON(),
+      data: { recoveryCodes },
     })
   } catch (error) {
     next(error)
@@ -344,21 +633,780 @@ router.put("/profile", authenticateToken, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/auth/logout:
+ * /api/auth/2fa/disable:
  *   post:
- *     summary: Logout user
+ *     summary: Turn off 2FA
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code or a recovery code
  *     responses:
  *       200:
- *         description: Logged out successfully
+ *         description: 2FA disabled
+ *       400:
+ *         description: 2FA not enabled or invalid code
  */
-router.post("/logout", authenticateToken, (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: "Logged out successfully",
-  })
+router.post("/2fa/disable", authenticateToken, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      code: Joi.string().required(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const user = await User.findById(req.user.sub)
+    if (!user?.twoFactor?.enabled || !user.verifyTwoFactorCode(value.code)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid two-factor code",
+        statusCode: 400,
+      })
+    }
+
+    const before = user.toJSON()
+    user.twoFactor = { enabled: false }
+    user.updatedAt = new Date()
+    await user.save()
+    await recordAudit(req, {
+      action: "disable_2fa",
+      resourceType: "user",
+      resourceId: user._id,
+      before,
+      after: user.toJSON(),
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post("/verify-email", async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      token: Joi.string().required(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const accountToken = await AccountToken.consume(value.token, "email_verification")
+    const user = accountToken && (await User.findById(accountToken.userId))
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired token",
+        statusCode: 400,
+      })
+    }
+
+    const before = user.toJSON()
+    user.emailVerified = true
+    user.updatedAt = new Date()
+    await user.save()
+    await recordAudit(req, {
+      actorId: user._id,
+      action: "verify_email",
+      resourceType: "user",
+      resourceId: user._id,
+      before,
+      after: user.toJSON(),
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email to the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ */
+router.post("/resend-verification", authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.sub)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+        statusCode: 404,
+      })
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: "Email already verified",
+        statusCode: 400,
+      })
+    }
+
+    const token = await AccountToken.issue(user._id, "email_verification", EMAIL_VERIFICATION_TTL_MS)
+    await sendVerificationEmail(user, token)
+
+    res.status(200).json({
+      success: true,
+      message: "Verification email sent",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always succeeds so the response can't be used to discover registered emails.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+router.post("/forgot-password", authIpLimiter, authAccountLimiter, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      email: Joi.string().email().required(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const user = await User.findOne({ email: value.email })
+    if (user) {
+      try {
+        const token = await AccountToken.issue(user._id, "password_reset", PASSWORD_RESET_TTL_MS)
+        await sendPasswordResetEmail(user, token)
+      } catch (error) {
+        console.error("Failed to send password reset email:", error)
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "If that email is registered, a reset link has been sent",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the token from the reset email
+ *     description: Signs the user out of every session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post("/reset-password", authIpLimiter, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      token: Joi.string().required(),
+      password: Joi.string().min(8).required(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const accountToken = await AccountToken.consume(value.token, "password_reset")
+    const user = accountToken && (await User.findById(accountToken.userId))
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired token",
+        statusCode: 400,
+      })
+    }
+
+    // Following the link proves the user controls the mailbox
+    const before = user.toJSON()
+    user.passwordHash = value.password
+    user.emailVerified = true
+    user.updatedAt = new Date()
+    await user.save()
+    await recordAudit(req, {
+      actorId: user._id,
+      action: "reset_password",
+      resourceType: "user",
+      resourceId: user._id,
+      before,
+      after: user.toJSON(),
+    })
+
+    await revokeSessions({ userId: user._id }, "password_reset")
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/me", authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.sub)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+        statusCode: 404,
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user.toJSON(),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/profile:
+ *   put:
+ *     summary: Update user profile
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               avatar:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       401:
+ *         description: Unauthorized
+ */
+router.put("/profile", authenticateToken, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string(),
+      avatar: Joi.string().uri(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const user = await User.findById(req.user.sub)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+        statusCode: 404,
+      })
+    }
+
+    const before = user.toJSON()
+    user.set({ ...value, updatedAt: new Date() })
+    await user.save()
+    await recordAudit(req, {
+      action: "update",
+      resourceType: "user",
+      resourceId: user._id,
+      before,
+      after: user.toJSON(),
+    })
+
+    res.status(200).json({
+      success: true,
+      data: user.toJSON(),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed, the old refresh token is no longer valid
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post("/refresh", async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      refreshToken: Joi.string().required(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const current = await consumeRefreshToken(value.refreshToken)
+    const user = current && (await User.findById(current.userId))
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired refresh token",
+        statusCode: 401,
+      })
+    }
+
+    const tokens = await generateTokens(user._id.toString(), user.email, current.family)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions for the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ */
+router.get("/sessions", authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({ userId: req.user.sub, revokedAt: null }).sort({ lastSeenAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map((session) => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session.id === req.user.sid,
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Log out everywhere by revoking every session of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.delete("/sessions", authenticateToken, async (req, res, next) => {
+  try {
+    const revoked = await revokeSessions({ userId: req.user.sub })
+
+    res.status(200).json({
+      success: true,
+      data: { revoked },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a single session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete("/sessions/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const revoked = await revokeSessions({ _id: req.params.id, userId: req.user.sub })
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found",
+        statusCode: 404,
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/export:
+ *   get:
+ *     summary: Download all of the current user's data
+ *     description: >-
+ *       A JSON archive with the profile, workspace memberships, sessions, API keys
+ *       and every entity and insight the user created.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON archive sent as an attachment
+ */
+router.get("/export", authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.sub)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+        statusCode: 404,
+      })
+    }
+
+    const workspaces = await Workspace.find({ "members.userId": user._id })
+    const sessions = await Session.find({ userId: user._id }).select("-__v")
+    const apiKeys = await ApiKey.find({ userId: user._id })
+
+    const exportedAt = new Date()
+    res.setHeader("Content-Type", "application/json")
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="auralink-export-${exportedAt.toISOString().split("T")[0]}.json"`,
+    )
+
+    res.write(`{"exportedAt":${JSON.stringify(exportedAt)}`)
+    res.write(`,"profile":${JSON.stringify(user)}`)
+    res.write(
+      `,"workspaces":${JSON.stringify(
+        workspaces.map((workspace) => ({
+          id: workspace.id,
+          name: workspace.name,
+          role: workspace.roleOf(user._id),
+        })),
+      )}`,
+    )
+    res.write(`,"sessions":${JSON.stringify(sessions)}`)
+    res.write(`,"apiKeys":${JSON.stringify(apiKeys)}`)
+
+    // Entities and insights can be numerous, so stream them from a cursor
+    for (const [name, Model] of [
+      ["entities", Entity],
+      ["insights", Insight],
+    ]) {
+      res.write(`,"${name}":[`)
+      let first = true
+      for await (const doc of Model.find({ userId: user._id }).sort({ createdAt: 1 }).cursor()) {
+        res.write((first ? "" : ",") + JSON.stringify(doc))
+        first = false
+      }
+      res.write("]")
+    }
+
+    res.end("}")
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error)
+    }
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/account:
+ *   delete:
+ *     summary: Schedule deletion of the current user's account
+ *     description: >-
+ *       Signs out every session, revokes every API key and permanently deletes the
+ *       account and its owned workspaces once the grace period ends. What it created
+ *       in workspaces shared with it stays there. Logging in again cancels it. Accounts
+ *       with a password must confirm it, others must have logged in within the last 5 minutes.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *       401:
+ *         description: Password wrong or login too old
+ */
+router.delete("/account", authenticateToken, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      password: Joi.string(),
+    })
+
+    const { error, value } = schema.validate(req.body || {})
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const user = await User.findById(req.user.sub)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+        statusCode: 404,
+      })
+    }
+
+    let confirmed
+    if (user.passwordHash) {
+      confirmed = Boolean(value.password) && (await user.comparePassword(value.password))
+    } else {
+      const session = await Session.findById(req.user.sid)
+      confirmed = Boolean(session) && Date.now() - session.createdAt.getTime() < REAUTH_WINDOW_MS
+    }
+
+    if (!confirmed) {
+      return res.status(401).json({
+        success: false,
+        error: user.passwordHash ? "Password is incorrect" : "Please log in again to confirm",
+        statusCode: 401,
+      })
+    }
+
+    const before = user.toJSON()
+    const graceDays = Number.parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || "30")
+    user.deletionScheduledAt = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000)
+    user.updatedAt = new Date()
+    await user.save()
+    await recordAudit(req, {
+      action: "delete",
+      resourceType: "user",
+      resourceId: user._id,
+      before,
+      after: user.toJSON(),
+    })
+
+    await revokeSessions({ userId: user._id }, "user_deleted")
+    await ApiKey.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() })
+
+    res.status(200).json({
+      success: true,
+      data: { deletionScheduledAt: user.deletionScheduledAt },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user and revoke the current session's refresh tokens
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post("/logout", authenticateToken, async (req, res, next) => {
+  try {
+    await revokeSessions({ _id: req.user.sid, userId: req.user.sub })
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
 })
 
 export default router
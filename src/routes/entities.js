@@ -1,7 +1,31 @@
 import express from "express"
 import Joi from "joi"
+import mongoose from "mongoose"
 import Entity from "../models/Entity.js"
-import { authenticateToken } from "../middleware/auth.js"
+import EntityRevision from "../models/EntityRevision.js"
+import { authenticateWithScope } from "../middleware/auth.js"
+import { resolveWorkspace, requireRole } from "../middleware/workspace.js"
+import {
+  entityCreateSchema,
+  entityUpdateSchema,
+  createEntity,
+  updateEntity,
+  deleteEntity,
+  restoreEntity,
+  revertEntity,
+  purgeDateOf,
+} from "../services/entities.js"
+import { bumpDataVersion } from "../services/analytics.js"
+import {
+  EXPORT_FORMATS,
+  csvHeader,
+  formatEntity,
+  importMappingSchema,
+  parseImport,
+} from "../services/entityTransfer.js"
+import { searchTerms, highlight } from "../utils/highlight.js"
+import { parseEntityQuery, toMongoSort } from "../utils/entityQuery.js"
+import { paginate, pageLinks } from "../utils/pagination.js"
 
 const router = express.Router()
 
@@ -9,76 +33,175 @@ const router = express.Router()
  * @swagger
  * /api/entities:
  *   get:
- *     summary: Get all entities for user
+ *     summary: Get all entities in the active workspace
  *     tags: [Entities]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - name: page
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: q
  *         in: query
+ *         description: >-
+ *           Full-text search over title, tags and description. Supports "quoted phrases"
+ *           and -excluded words. Results default to relevance order and include
+ *           highlighted snippets.
  *         schema:
- *           type: integer
- *           default: 1
+ *           type: string
+ *       - name: cursor
+ *         in: query
+ *         description: Opaque cursor from a previous response's nextCursor or prevCursor
+ *         schema:
+ *           type: string
  *       - name: limit
  *         in: query
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
+ *       - name: includeTotal
+ *         in: query
+ *         description: Also count all matching entities, which costs an extra query
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: page
+ *         in: query
+ *         deprecated: true
+ *         description: Offset paging. Always returns a total. Use cursor instead.
+ *         schema:
+ *           type: integer
  *       - name: category
  *         in: query
+ *         description: Comma separated, matches any
  *         schema:
  *           type: string
  *       - name: status
  *         in: query
+ *         description: Comma separated, matches any
+ *         schema:
+ *           type: string
+ *       - name: priority
+ *         in: query
+ *         description: Comma separated, e.g. high,medium
+ *         schema:
+ *           type: string
+ *       - name: tags.any
+ *         in: query
+ *         description: Comma separated, entity has at least one
+ *         schema:
+ *           type: string
+ *       - name: tags.all
+ *         in: query
+ *         description: Comma separated, entity has every one
+ *         schema:
+ *           type: string
+ *       - name: createdAt.gte
+ *         in: query
+ *         description: >-
+ *           Date range bound. gt, gte, lt and lte work on createdAt and updatedAt.
+ *           Accepts ISO dates or relative times such as -7d, -24h or -30m.
+ *         schema:
+ *           type: string
+ *       - name: score.gte
+ *         in: query
+ *         description: Metric bound. gt, gte, lt and lte work on views, engagement and score.
+ *         schema:
+ *           type: number
+ *       - name: sort
+ *         in: query
+ *         description: >-
+ *           Comma separated fields from createdAt, updatedAt, title, views, engagement,
+ *           score and relevance; prefix with - for descending, e.g. -score,createdAt
  *         schema:
  *           type: string
  *       - name: sortBy
  *         in: query
+ *         deprecated: true
  *         schema:
  *           type: string
- *           enum: [newest, views, engagement]
+ *           enum: [relevance, newest, views, engagement]
  *     responses:
  *       200:
  *         description: List of entities
+ *       400:
+ *         description: Invalid filter
  *       401:
  *         description: Unauthorized
  */
-router.get("/", authenticateToken, async (req, res, next) => {
+router.get("/", authenticateWithScope("entities:read"), resolveWorkspace, async (req, res, next) => {
   try {
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
-
-    const query = { userId: req.user.sub }
+    const { error, value } = parseEntityQuery(req.query)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        statusCode: 400,
+      })
+    }
 
-    if (req.query.category) {
-      query.category = req.query.category
+    const { q, page, limit } = value
+    const query = { ...value.filter, workspaceId: req.workspace._id, deletedAt: null }
+    const projection = {}
+    if (q) {
+      query.$text = { $search: q }
+      projection.score = { $meta: "textScore" }
     }
+    const sort = toMongoSort(value.sort)
 
-    if (req.query.status) {
-      query.status = req.query.status
+    const withHighlights = (entities) => {
+      if (!q) return entities
+      const terms = searchTerms(q)
+      return entities.map((entity) => ({
+        ...entity,
+        highlights: {
+          title: highlight(entity.title, terms),
+          description: highlight(entity.description, terms),
+          tags: (entity.tags || []).filter((tag) => highlight(tag, terms)),
+        },
+      }))
     }
 
-    let sortOrder = { createdAt: -1 }
-    if (req.query.sortBy === "views") {
-      sortOrder = { "metrics.views": -1 }
-    } else if (req.query.sortBy === "engagement") {
-      sortOrder = { "metrics.engagement": -1 }
+    // Offset paging for clients still sending page
+    if (page) {
+      const entities = await Entity.find(query, projection)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+      const total = await Entity.countDocuments(query)
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          entities: withHighlights(entities),
+          pagination: {
+            page,
+            limit,
+            total,
+          },
+        },
+      })
     }
 
-    const entities = await Entity.find(query).sort(sortOrder).skip(skip).limit(limit)
+    const { items, nextCursor, prevCursor } = await paginate(Entity, {
+      filter: query,
+      projection,
+      sort,
+      limit,
+      cursor: value.cursor,
+    })
 
-    const total = await Entity.countDocuments(query)
+    const pagination = { limit, nextCursor, prevCursor }
+    if (value.includeTotal) {
+      pagination.total = await Entity.countDocuments(query)
+    }
 
     res.status(200).json({
       success: true,
       data: {
-        entities,
-        pagination: {
-          page,
-          limit,
-          total,
-        },
+        entities: withHighlights(items),
+        pagination,
+        links: pageLinks(req, { nextCursor, prevCursor }),
       },
     })
   } catch (error) {
@@ -94,6 +217,8 @@ router.get("/", authenticateToken, async (req, res, next) => {
  *     tags: [Entities]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
  *     requestBody:
  *       required: true
  *       content:
@@ -119,18 +244,541 @@ router.get("/", authenticateToken, async (req, res, next) => {
  *         description: Entity created
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Requires the editor role
+ */
+router.post(
+  "/",
+  authenticateWithScope("entities:write"),
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const { error, value } = entityCreateSchema.validate(req.body)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
+
+      const entity = await createEntity(req, value)
+
+      res.status(201).json({
+        success: true,
+        data: entity,
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+const BULK_MAX_OPERATIONS = 5000
+// Each operation is several writes, and a transaction has to finish within
+// MongoDB's 60 second limit
+const BULK_MAX_ATOMIC_OPERATIONS = 500
+
+// One row of a bulk request. data is checked against the same schemas as the
+// single-entity routes.
+const bulkOperationSchema = Joi.object({
+  op: Joi.string().valid("create", "update", "delete").required(),
+  id: Joi.when("op", {
+    is: "create",
+    then: Joi.forbidden(),
+    otherwise: Joi.string().hex().length(24).required(),
+  }),
+  data: Joi.when("op", {
+    switch: [
+      { is: "create", then: entityCreateSchema.required() },
+      { is: "update", then: entityUpdateSchema.required() },
+    ],
+    otherwise: Joi.forbidden(),
+  }),
+})
+
+// Applies one validated row. Missing entities, document validation errors and
+// edit conflicts are reported as a failed row, anything else is a real error.
+const runBulkOperation = async (req, operation, options) => {
+  try {
+    if (operation.op === "create") {
+      const entity = await createEntity(req, operation.data, options)
+      return { status: "created", id: entity._id }
+    }
+
+    const entity =
+      operation.op === "update"
+        ? await updateEntity(req, operation.id, operation.data, options)
+        : await deleteEntity(req, operation.id, options)
+    if (!entity) {
+      return { status: "failed", id: operation.id, error: "Entity not found" }
+    }
+    return { status: operation.op === "update" ? "updated" : "deleted", id: entity._id }
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError) && error.statusCode !== 409) throw error
+    return { status: "failed", id: operation.id, error: error.message }
+  }
+}
+
+const summarize = (results) => {
+  const summary = { created: 0, updated: 0, deleted: 0, failed: 0 }
+  for (const result of results) {
+    if (result.status in summary) summary[result.status] += 1
+  }
+  return summary
+}
+
+/**
+ * @swagger
+ * /api/entities/bulk:
+ *   post:
+ *     summary: Create, update and delete many entities in one request
+ *     description: >-
+ *       Operations run in order and each is validated like the matching single-entity
+ *       route. By default every operation is applied independently and failures are
+ *       reported per item. With atomic set, the batch runs in a MongoDB transaction and
+ *       any failure rolls back the whole batch (requires a replica set). An atomic batch
+ *       can have at most 500 operations.
+ *     tags: [Entities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [operations]
+ *             properties:
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *               operations:
+ *                 type: array
+ *                 maxItems: 5000
+ *                 items:
+ *                   type: object
+ *                   required: [op]
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [create, update, delete]
+ *                     id:
+ *                       type: string
+ *                       description: Required for update and delete
+ *                     data:
+ *                       type: object
+ *                       description: Entity fields for create and update
+ *     responses:
+ *       200:
+ *         description: Per-item results and a summary of counts
+ *       400:
+ *         description: Malformed request, or an atomic batch that was rolled back
+ *       403:
+ *         description: Requires the editor role
+ *       501:
+ *         description: Atomic mode requested but the database doesn't support transactions
+ */
+router.post(
+  "/bulk",
+  authenticateWithScope("entities:write"),
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const schema = Joi.object({
+        atomic: Joi.boolean().default(false),
+        operations: Joi.array()
+          .items(Joi.object().unknown())
+          .min(1)
+          .max(BULK_MAX_OPERATIONS)
+          .required()
+          .when("atomic", {
+            is: true,
+            then: Joi.array()
+              .max(BULK_MAX_ATOMIC_OPERATIONS)
+              .messages({ "array.max": `An atomic batch can have at most ${BULK_MAX_ATOMIC_OPERATIONS} operations` }),
+          }),
+      })
+
+      const { error, value } = schema.validate(req.body)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
+
+      // Validate every row up front so an atomic batch never starts with a bad row
+      const rows = value.operations.map((operation) => bulkOperationSchema.validate(operation))
+      const invalidRow = (index) => ({
+        index,
+        op: value.operations[index].op,
+        status: "failed",
+        error: rows[index].error.details[0].message,
+      })
+
+      if (value.atomic) {
+        const firstInvalid = rows.findIndex((row) => row.error)
+        if (firstInvalid !== -1) {
+          return res.status(400).json({
+            success: false,
+            error: `Operation ${firstInvalid} is invalid: ${invalidRow(firstInvalid).error}`,
+            statusCode: 400,
+            data: { results: rows.flatMap((row, index) => (row.error ? [invalidRow(index)] : [])) },
+          })
+        }
+
+        const session = await mongoose.startSession()
+        let results
+        let failure = null
+        try {
+          await session.withTransaction(async () => {
+            // withTransaction retries on transient errors, so start clean each attempt
+            results = []
+            failure = null
+            for (const [index, { value: operation }] of rows.entries()) {
+              const result = { index, op: operation.op, ...(await runBulkOperation(req, operation, { session })) }
+              results.push(result)
+              if (result.status === "failed") {
+                // Throwing aborts the transaction
+                failure = result
+                throw result
+              }
+            }
+          })
+        } catch (error) {
+          if (error !== failure) {
+            if (error.code !== 20) throw error
+            // IllegalOperation: transactions need a replica set or mongos
+            return res.status(501).json({
+              success: false,
+              error: "Atomic bulk operations require MongoDB to run as a replica set",
+              statusCode: 501,
+            })
+          }
+        } finally {
+          await session.endSession()
+        }
+
+        if (failure) {
+          return res.status(400).json({
+            success: false,
+            error: `Operation ${failure.index} failed: ${failure.error}. No changes were made.`,
+            statusCode: 400,
+            data: { results: [failure] },
+          })
+        }
+
+        // The writes in a transaction leave this to us once it has committed
+        await bumpDataVersion(req.workspace._id)
+
+        return res.status(200).json({
+          success: true,
+          data: { results, summary: summarize(results) },
+        })
+      }
+
+      const results = []
+      for (const [index, row] of rows.entries()) {
+        if (row.error) {
+          results.push(invalidRow(index))
+          continue
+        }
+        results.push({ index, op: row.value.op, ...(await runBulkOperation(req, row.value)) })
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { results, summary: summarize(results) },
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+// Resolves once the response can take more data or the client has gone away
+const drained = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done)
+      res.off("close", done)
+      resolve()
+    }
+    res.on("drain", done)
+    res.on("close", done)
+  })
+
+/**
+ * @swagger
+ * /api/entities/export:
+ *   get:
+ *     summary: Export entities in the active workspace as CSV or NDJSON
+ *     description: >-
+ *       Streams every entity matching the same filters, search and sort as the list
+ *       endpoint; paging parameters are ignored. In CSV, tags are joined with "|" and
+ *       a literal "|" or "\" inside a tag is escaped with a backslash.
+ *     tags: [Entities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         description: Invalid filter or format
+ */
+router.get("/export", authenticateWithScope("entities:read"), resolveWorkspace, async (req, res, next) => {
+  try {
+    const { format = "csv", ...params } = req.query
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: '"format" must be one of [csv, ndjson]',
+        statusCode: 400,
+      })
+    }
+
+    const { error, value } = parseEntityQuery(params)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        statusCode: 400,
+      })
+    }
+
+    const query = { ...value.filter, workspaceId: req.workspace._id, deletedAt: null }
+    const projection = {}
+    if (value.q) {
+      query.$text = { $search: value.q }
+      projection.score = { $meta: "textScore" }
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format]
+    const exportedAt = new Date()
+    res.setHeader("Content-Type", contentType)
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="auralink-entities-${exportedAt.toISOString().split("T")[0]}.${extension}"`,
+    )
+
+    if (format === "csv") res.write(csvHeader())
+    for await (const entity of Entity.find(query, projection).sort(toMongoSort(value.sort)).lean().cursor()) {
+      if (!res.write(formatEntity(entity, format))) await drained(res)
+      if (res.destroyed) return
+    }
+
+    res.end()
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error)
+    }
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/entities/import:
+ *   post:
+ *     summary: Import entities from CSV or NDJSON
+ *     description: >-
+ *       Send the file as the request body. Columns named title, description, category,
+ *       status, priority or tags are imported as is; use mapping to import other
+ *       columns. Each row is validated like a create, invalid rows are reported by
+ *       line and skipped. With dryRun nothing is written.
+ *     tags: [Entities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: format
+ *         in: query
+ *         description: Defaults to the request's content type
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *       - name: mapping
+ *         in: query
+ *         description: >-
+ *           JSON object from source column to entity field, e.g. {"Name":"title","Labels":"tags"}.
+ *           Map a column to null to skip it.
+ *         schema:
+ *           type: string
+ *       - name: dryRun
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Import report with per-line errors
+ *       400:
+ *         description: Unreadable file, invalid mapping or too many rows
+ *       403:
+ *         description: Requires the editor role
+ */
+router.post(
+  "/import",
+  authenticateWithScope("entities:write"),
+  resolveWorkspace,
+  requireRole("editor"),
+  express.text({ type: ["text/csv", "text/plain", "application/x-ndjson", "application/ndjson"], limit: "10mb" }),
+  async (req, res, next) => {
+    try {
+      const schema = Joi.object({
+        format: Joi.string()
+          .valid("csv", "ndjson")
+          .default(req.is("application/x-ndjson", "application/ndjson") ? "ndjson" : "csv"),
+        mapping: Joi.string().custom((raw, helpers) => {
+          let mapping
+          try {
+            mapping = JSON.parse(raw)
+          } catch (error) {
+            return helpers.message("{{#label}} must be a JSON object")
+          }
+          const { error, value } = importMappingSchema.validate(mapping)
+          return error ? helpers.message(error.details[0].message) : value
+        }),
+        dryRun: Joi.boolean().default(false),
+      })
+
+      const { error, value } = schema.validate(req.query)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
+
+      if (typeof req.body !== "string") {
+        return res.status(400).json({
+          success: false,
+          error: "Send the file as the request body with a text/csv or application/x-ndjson content type",
+          statusCode: 400,
+        })
+      }
+
+      let parsed
+      try {
+        parsed = parseImport(req.body, { format: value.format, mapping: value.mapping })
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: parseError.message,
+          statusCode: 400,
+        })
+      }
+
+      if (parsed.total > BULK_MAX_OPERATIONS) {
+        return res.status(400).json({
+          success: false,
+          error: `Imports are limited to ${BULK_MAX_OPERATIONS} rows, got ${parsed.total}`,
+          statusCode: 400,
+        })
+      }
+
+      const errors = [...parsed.errors]
+      let imported = 0
+      if (!value.dryRun) {
+        for (const { line, data } of parsed.entities) {
+          try {
+            await createEntity(req, data)
+            imported += 1
+          } catch (createError) {
+            if (!(createError instanceof mongoose.Error.ValidationError)) throw createError
+            errors.push({ line, error: createError.message })
+          }
+        }
+        errors.sort((a, b) => a.line - b.line)
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          dryRun: value.dryRun,
+          total: parsed.total,
+          valid: parsed.entities.length,
+          imported,
+          errors,
+          ignoredColumns: parsed.ignoredColumns,
+        },
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/entities/trash:
+ *   get:
+ *     summary: List deleted entities in the active workspace
+ *     description: >-
+ *       Most recently deleted first. Each entity carries purgeAt, when it will be
+ *       removed permanently.
+ *     tags: [Entities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: cursor
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - name: includeTotal
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Deleted entities
+ *       400:
+ *         description: Invalid query or cursor
  */
-router.post("/", authenticateToken, async (req, res, next) => {
+router.get("/trash", authenticateWithScope("entities:read"), resolveWorkspace, async (req, res, next) => {
   try {
     const schema = Joi.object({
-      title: Joi.string().required(),
-      description: Joi.string(),
-      category: Joi.string().required(),
-      priority: Joi.string().valid("low", "medium", "high"),
-      tags: Joi.array().items(Joi.string()),
+      cursor: Joi.string().max(2000),
+      limit: Joi.number().integer().min(1).max(100).default(10),
+      includeTotal: Joi.boolean().default(false),
     })
 
-    const { error, value } = schema.validate(req.body)
+    const { error, value } = schema.validate(req.query)
     if (error) {
       return res.status(400).json({
         success: false,
@@ -139,16 +787,26 @@ router.post("/", authenticateToken, async (req, res, next) => {
       })
     }
 
-    const entity = new Entity({
-      ...value,
-      userId: req.user.sub,
+    const query = { workspaceId: req.workspace._id, deletedAt: { $ne: null } }
+    const { items, nextCursor, prevCursor } = await paginate(Entity, {
+      filter: query,
+      sort: { deletedAt: -1, _id: -1 },
+      limit: value.limit,
+      cursor: value.cursor,
     })
 
-    await entity.save()
+    const pagination = { limit: value.limit, nextCursor, prevCursor }
+    if (value.includeTotal) {
+      pagination.total = await Entity.countDocuments(query)
+    }
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      data: entity,
+      data: {
+        entities: items.map((entity) => ({ ...entity, purgeAt: purgeDateOf(entity) })),
+        pagination,
+        links: pageLinks(req, { nextCursor, prevCursor }),
+      },
     })
   } catch (error) {
     next(error)
@@ -164,6 +822,7 @@ router.post("/", authenticateToken, async (req, res, next) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
  *       - name: id
  *         in: path
  *         required: true
@@ -175,11 +834,12 @@ router.post("/", authenticateToken, async (req, res, next) => {
  *       404:
  *         description: Entity not found
  */
-router.get("/:id", authenticateToken, async (req, res, next) => {
+router.get("/:id", authenticateWithScope("entities:read"), resolveWorkspace, async (req, res, next) => {
   try {
     const entity = await Entity.findOne({
       _id: req.params.id,
-      userId: req.user.sub,
+      workspaceId: req.workspace._id,
+      deletedAt: null,
     })
 
     if (!entity) {
@@ -208,6 +868,7 @@ router.get("/:id", authenticateToken, async (req, res, next) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
  *       - name: id
  *         in: path
  *         required: true
@@ -235,20 +896,196 @@ router.get("/:id", authenticateToken, async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Entity updated
+ *       403:
+ *         description: Requires the editor role
+ *       404:
+ *         description: Entity not found
+ *       409:
+ *         description: The entity was changed by another request at the same time
+ */
+router.put(
+  "/:id",
+  authenticateWithScope("entities:write"),
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const { error, value } = entityUpdateSchema.validate(req.body)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
+
+      const entity = await updateEntity(req, req.params.id, value)
+
+      if (!entity) {
+        return res.status(404).json({
+          success: false,
+          error: "Entity not found",
+          statusCode: 404,
+        })
+      }
+
+      res.status(200).json({
+        success: true,
+        data: entity,
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/entities/{id}:
+ *   delete:
+ *     summary: Move an entity to the trash
+ *     description: >-
+ *       The entity and its insights are hidden everywhere until restored, and purged
+ *       permanently after the retention period (ENTITY_TRASH_RETENTION_DAYS, 30 days by default).
+ *     tags: [Entities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entity moved to the trash, with the date it will be purged
+ *       403:
+ *         description: Requires the editor role
+ *       404:
+ *         description: Entity not found
+ */
+router.delete(
+  "/:id",
+  authenticateWithScope("entities:write"),
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const entity = await deleteEntity(req, req.params.id)
+
+      if (!entity) {
+        return res.status(404).json({
+          success: false,
+          error: "Entity not found",
+          statusCode: 404,
+        })
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Entity moved to trash",
+        data: { id: entity._id, purgeAt: purgeDateOf(entity) },
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/entities/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted entity from the trash
+ *     description: Insights that were trashed along with the entity are restored too.
+ *     tags: [Entities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entity restored
+ *       403:
+ *         description: Requires the editor role
+ *       404:
+ *         description: Entity not found in the trash
+ */
+router.post(
+  "/:id/restore",
+  authenticateWithScope("entities:write"),
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const entity = await restoreEntity(req, req.params.id)
+
+      if (!entity) {
+        return res.status(404).json({
+          success: false,
+          error: "Entity not found in the trash",
+          statusCode: 404,
+        })
+      }
+
+      res.status(200).json({
+        success: true,
+        data: entity,
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/entities/{id}/revisions:
+ *   get:
+ *     summary: List an entity's revisions, newest first
+ *     description: >-
+ *       Each revision records who made it, when, and a field-level diff of title,
+ *       description, category, status, priority and tags.
+ *     tags: [Entities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: cursor
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Revisions without their snapshots
  *       404:
  *         description: Entity not found
  */
-router.put("/:id", authenticateToken, async (req, res, next) => {
+router.get("/:id/revisions", authenticateWithScope("entities:read"), resolveWorkspace, async (req, res, next) => {
   try {
     const schema = Joi.object({
-      title: Joi.string(),
-      description: Joi.string(),
-      status: Joi.string().valid("active", "inactive"),
-      priority: Joi.string().valid("low", "medium", "high"),
-      tags: Joi.array().items(Joi.string()),
+      cursor: Joi.string().max(2000),
+      limit: Joi.number().integer().min(1).max(100).default(20),
     })
 
-    const { error, value } = schema.validate(req.body)
+    const { error, value } = schema.validate(req.query)
     if (error) {
       return res.status(400).json({
         success: false,
@@ -257,11 +1094,10 @@ router.put("/:id", authenticateToken, async (req, res, next) => {
       })
     }
 
-    const entity = await Entity.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.sub },
-      { ...value, updatedAt: new Date() },
-      { new: true },
-    )
+    // Deleted entities keep their history until purged
+    const entity = mongoose.isValidObjectId(req.params.id)
+      ? await Entity.findOne({ _id: req.params.id, workspaceId: req.workspace._id })
+      : null
 
     if (!entity) {
       return res.status(404).json({
@@ -271,9 +1107,22 @@ router.put("/:id", authenticateToken, async (req, res, next) => {
       })
     }
 
+    const { items, nextCursor, prevCursor } = await paginate(EntityRevision, {
+      filter: { entityId: entity._id },
+      projection: { snapshot: 0 },
+      // Revision numbers are unique per entity
+      sort: { revision: -1 },
+      limit: value.limit,
+      cursor: value.cursor,
+    })
+
     res.status(200).json({
       success: true,
-      data: entity,
+      data: {
+        revisions: items,
+        pagination: { limit: value.limit, nextCursor, prevCursor },
+        links: pageLinks(req, { nextCursor, prevCursor }),
+      },
     })
   } catch (error) {
     next(error)
@@ -282,46 +1131,124 @@ router.put("/:id", authenticateToken, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/entities/{id}:
- *   delete:
- *     summary: Delete entity
+ * /api/entities/{id}/revisions/{revisionId}:
+ *   get:
+ *     summary: Get one revision with the entity's state after it
  *     tags: [Entities]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
  *       - name: id
  *         in: path
  *         required: true
  *         schema:
  *           type: string
+ *       - name: revisionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Entity deleted
+ *         description: Revision with its diff and snapshot
  *       404:
- *         description: Entity not found
+ *         description: Entity or revision not found
  */
-router.delete("/:id", authenticateToken, async (req, res, next) => {
-  try {
-    const entity = await Entity.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user.sub,
-    })
+router.get(
+  "/:id/revisions/:revisionId",
+  authenticateWithScope("entities:read"),
+  resolveWorkspace,
+  async (req, res, next) => {
+    try {
+      const revision =
+        mongoose.isValidObjectId(req.params.id) && mongoose.isValidObjectId(req.params.revisionId)
+          ? await EntityRevision.findOne({
+              _id: req.params.revisionId,
+              entityId: req.params.id,
+              workspaceId: req.workspace._id,
+            })
+          : null
 
-    if (!entity) {
-      return res.status(404).json({
-        success: false,
-        error: "Entity not found",
-        statusCode: 404,
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: "Revision not found",
+          statusCode: 404,
+        })
+      }
+
+      res.status(200).json({
+        success: true,
+        data: revision,
       })
+    } catch (error) {
+      next(error)
     }
+  },
+)
 
-    res.status(200).json({
-      success: true,
-      message: "Entity deleted successfully",
-    })
-  } catch (error) {
-    next(error)
-  }
-})
+/**
+ * @swagger
+ * /api/entities/{id}/revert/{revisionId}:
+ *   post:
+ *     summary: Revert an entity to an earlier revision
+ *     description: >-
+ *       Sets the revised fields back to how they were after the given revision. The
+ *       revert is recorded as a new revision, so no history is lost.
+ *     tags: [Entities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: revisionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entity after the revert
+ *       403:
+ *         description: Requires the editor role
+ *       404:
+ *         description: Entity or revision not found
+ *       409:
+ *         description: The entity was changed by another request at the same time
+ */
+router.post(
+  "/:id/revert/:revisionId",
+  authenticateWithScope("entities:write"),
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const entity =
+        mongoose.isValidObjectId(req.params.id) && mongoose.isValidObjectId(req.params.revisionId)
+          ? await revertEntity(req, req.params.id, req.params.revisionId)
+          : null
+
+      if (!entity) {
+        return res.status(404).json({
+          success: false,
+          error: "Entity or revision not found",
+          statusCode: 404,
+        })
+      }
+
+      res.status(200).json({
+        success: true,
+        data: entity,
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
 
 export default router
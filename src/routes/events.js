@@ -0,0 +1,117 @@
+import express from "express"
+import Joi from "joi"
+import { METRIC_EVENT_TYPES } from "../models/MetricEvent.js"
+import { authenticateWithScope } from "../middleware/auth.js"
+import { resolveWorkspace, requireRole } from "../middleware/workspace.js"
+import { ingestEvents } from "../services/metrics.js"
+
+const router = express.Router()
+
+const MAX_BATCH_SIZE = 1000
+// How far ahead of the server clock an event timestamp may be
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+const eventSchema = Joi.object({
+  entityId: Joi.string().hex().length(24).required(),
+  type: Joi.string()
+    .valid(...METRIC_EVENT_TYPES)
+    .required(),
+  value: Joi.number().positive().max(1000000).default(1),
+  timestamp: Joi.date()
+    .iso()
+    .custom((value, helpers) =>
+      value.getTime() > Date.now() + MAX_CLOCK_SKEW_MS ? helpers.message("{{#label}} can't be in the future") : value,
+    ),
+  id: Joi.string().max(200),
+})
+
+/**
+ * @swagger
+ * /api/events:
+ *   post:
+ *     summary: Record view and engagement events for entities
+ *     description: >-
+ *       Send one event, or up to 1000 as { events: [...] }. Events are stored with
+ *       their timestamp (default now) and added to each entity's metrics. metrics.score
+ *       is engagement per view. An event whose id was already recorded in the workspace
+ *       is reported as a duplicate and not counted again.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/MetricEvent'
+ *               - type: object
+ *                 required: [events]
+ *                 properties:
+ *                   events:
+ *                     type: array
+ *                     maxItems: 1000
+ *                     items:
+ *                       $ref: '#/components/schemas/MetricEvent'
+ *     responses:
+ *       200:
+ *         description: Counts and a per-event status of recorded, duplicate or rejected
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Requires the editor role
+ */
+router.post(
+  "/",
+  authenticateWithScope("events:write"),
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const isBatch = req.body && Array.isArray(req.body.events)
+      const schema = isBatch
+        ? Joi.object({ events: Joi.array().items(Joi.object().unknown()).min(1).max(MAX_BATCH_SIZE).required() })
+        : eventSchema
+
+      const { error } = schema.validate(req.body)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
+
+      // Events in a batch are validated one by one so a bad event doesn't
+      // sink the rest
+      const rows = (isBatch ? req.body.events : [req.body]).map((event) => eventSchema.validate(event))
+      const valid = rows.filter((row) => !row.error)
+      const ingested = valid.length > 0 ? await ingestEvents(req, valid.map((row) => row.value)) : []
+
+      let position = 0
+      const results = rows.map((row, index) => {
+        if (row.error) {
+          return { index, id: row.value?.id, status: "rejected", error: row.error.details[0].message }
+        }
+        return { ...ingested[position++], index }
+      })
+
+      const count = (status) => results.filter((result) => result.status === status).length
+      res.status(200).json({
+        success: true,
+        data: {
+          recorded: count("recorded"),
+          duplicates: count("duplicate"),
+          rejected: count("rejected"),
+          results,
+        },
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+export default router
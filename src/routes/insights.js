@@ -1,143 +1,525 @@
 import express from "express"
 import Joi from "joi"
-import axios from "axios"
-import Insight from "../models/Insight.js"
-import { authenticateToken } from "../middleware/auth.js"
+import mongoose from "mongoose"
+import Insight, { linkedToEntities } from "../models/Insight.js"
+import InsightJob from "../models/InsightJob.js"
+import { authenticateWithScope } from "../middleware/auth.js"
+import { resolveWorkspace, requireRole } from "../middleware/workspace.js"
+import { insightGenerationLimiter, consumeInsightGenerations } from "../middleware/rateLimit.js"
+import { insightRequestSchema, generateInsight } from "../services/insights.js"
+import { enqueueInsightJobs, cancelInsightJob } from "../services/insightJobs.js"
+import { paginate, pageLinks } from "../utils/pagination.js"
 
 const router = express.Router()
 
+// The insight fields returned once generation finishes
+const generatedInsight = (insight) => ({
+  id: insight._id,
+  title: insight.title,
+  insight: insight.content,
+  confidence: insight.confidence,
+  provider: insight.provider,
+  model: insight.model,
+  inputs: insight.inputs,
+})
+
+// Most jobs in one batch submission
+const MAX_JOB_BATCH_SIZE = 20
+
+const jobView = (job, insight) => ({
+  id: job._id,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  cancelRequested: job.cancelRequested,
+  input: job.toObject().input,
+  runAfter: job.status === "pending" ? job.runAfter : undefined,
+  lastError: job.lastError?.message ? job.toObject().lastError : undefined,
+  insightId: job.insightId,
+  insight: insight ? generatedInsight(insight) : undefined,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+})
+
+// Time between keep-alive comments on an idle stream, so proxies don't
+// close it while the model is thinking
+const STREAM_HEARTBEAT_MS = 15000
+
 /**
  * @swagger
  * /api/insights/generate:
  *   post:
  *     summary: Generate AI insight
+ *     description: >-
+ *       With entityId, entityIds or a category (its 20 most viewed entities), the
+ *       entities' details, metrics and last 4 weeks of activity are given to the model,
+ *       and the insight records the prompt, the entity revisions and the activity it was
+ *       based on. The entities must be in the active workspace and not in the trash.
+ *       Uses the workspace's LLM settings, or the server defaults. Provider timeouts,
+ *       rate limiting and outages are retried with backoff before failing.
  *     tags: [Insights]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [prompt]
  *             properties:
  *               prompt:
  *                 type: string
+ *                 description: Required unless the insight is based on entities
  *               entityId:
  *                 type: string
+ *               entityIds:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *               category:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Insight generated successfully
  *       400:
  *         description: Validation error
+ *       404:
+ *         description: An entity isn't in the active workspace, or the category has no entities
+ *       422:
+ *         description: The LLM provider refused the request, e.g. the prompt is too long
+ *       502:
+ *         description: The LLM provider failed or rejected the server's API key
+ *       503:
+ *         description: The LLM provider is rate limiting requests
+ *       504:
+ *         description: The LLM provider timed out
  */
-router.post("/generate", authenticateToken, async (req, res, next) => {
-  try {
-    const schema = Joi.object({
-      prompt: Joi.string().required(),
-      entityId: Joi.string(),
-    })
+router.post(
+  "/generate",
+  authenticateWithScope("insights:generate"),
+  insightGenerationLimiter,
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const { error, value } = insightRequestSchema.validate(req.body)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
 
-    const { error, value } = schema.validate(req.body)
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: error.details[0].message,
-        statusCode: 400,
+      const insight = await generateInsight(req, value)
+
+      res.status(200).json({
+        success: true,
+        data: generatedInsight(insight),
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/insights/generate/stream:
+ *   post:
+ *     summary: Generate AI insight, streaming the answer as it's written
+ *     description: >-
+ *       Takes the same body as /api/insights/generate and answers with Server-Sent
+ *       Events. Each `token` event carries the next piece of text as { text }. The
+ *       insight is saved once the answer is complete and sent in a final `done` event.
+ *       Invalid input and unknown entities are answered with plain JSON errors; once
+ *       the stream is open, a failure is sent as an `error` event with
+ *       { error, statusCode }. Closing the connection cancels generation and nothing is
+ *       saved.
+ *     tags: [Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prompt:
+ *                 type: string
+ *               entityId:
+ *                 type: string
+ *               entityIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               category:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: An event stream of token events followed by done or error
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: An entity isn't in the active workspace, or the category has no entities
+ */
+router.post(
+  "/generate/stream",
+  authenticateWithScope("insights:generate"),
+  insightGenerationLimiter,
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    const controller = new AbortController()
+    let heartbeat
+
+    const open = () => {
+      // The client may have left while the inputs were looked up
+      if (controller.signal.aborted) return
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
       })
+      heartbeat = setInterval(() => res.write(": keep-alive\n\n"), STREAM_HEARTBEAT_MS)
     }
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
 
-    // Call OpenRouter API for AI insights
-    const aiResponse = await axios.post(
-      "https://openrouter.io/api/v1/chat/completions",
-      {
-        model: "openai/gpt-4-mini",
-        messages: [
-          {
-            role: "user",
-            content: value.prompt,
-          },
-        ],
-        max_tokens: 1000,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          "HTTP-Referer": process.env.FRONTEND_URL || "http://localhost:3000",
-          "X-Title": "Auralink",
-        },
-      },
-    )
-
-    const insight = new Insight({
-      userId: req.user.sub,
-      entityId: value.entityId,
-      title: "AI Generated Insight",
-      content: aiResponse.data.choices[0].message.content,
-      type: "generated",
-      confidence: 0.85,
+    res.on("close", () => {
+      clearInterval(heartbeat)
+      if (!res.writableFinished) controller.abort()
     })
 
-    await insight.save()
+    try {
+      const { error, value } = insightRequestSchema.validate(req.body)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
+
+      // The stream opens once the inputs check out, so a bad entity id still
+      // gets a regular 404
+      const insight = await generateInsight(req, value, {
+        onStart: open,
+        onToken: (text) => send("token", { text }),
+        signal: controller.signal,
+      })
 
+      send("done", generatedInsight(insight))
+      res.end()
+    } catch (error) {
+      // The client is gone, there's no one to tell
+      if (controller.signal.aborted) return
+      if (!res.headersSent) return next(error)
+
+      console.error(error)
+      send("error", { error: error.message || "Internal Server Error", statusCode: error.statusCode || 500 })
+      res.end()
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/insights/jobs:
+ *   post:
+ *     summary: Queue insight generation to run in the background
+ *     description: >-
+ *       Takes the same body as /api/insights/generate, or up to 20 of them as
+ *       { jobs: [...] }, and answers right away with the queued job(s). Poll
+ *       /api/insights/jobs/{id} for the result. Provider timeouts, rate limiting and
+ *       outages are retried up to INSIGHT_JOB_MAX_ATTEMPTS times with a growing pause.
+ *       Every job counts toward the hourly insight limit, and a user can have at most
+ *       INSIGHT_JOB_MAX_QUEUED jobs pending or running.
+ *     tags: [Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prompt:
+ *                 type: string
+ *               entityId:
+ *                 type: string
+ *               entityIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               category:
+ *                 type: string
+ *               jobs:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Generate requests to queue together, instead of the fields above
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       202:
+ *         description: Job queued, or { jobs } for a batch
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: An entity isn't in the active workspace, or the category has no entities
+ *       429:
+ *         description: Over the hourly insight limit, or too many jobs queued
+ */
+router.post(
+  "/jobs",
+  authenticateWithScope("insights:generate"),
+  insightGenerationLimiter,
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const isBatch = req.body && Array.isArray(req.body.jobs)
+      const schema = isBatch
+        ? Joi.object({ jobs: Joi.array().items(insightRequestSchema).min(1).max(MAX_JOB_BATCH_SIZE).required() })
+        : insightRequestSchema
+
+      const { error, value } = schema.validate(req.body)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
+
+      const inputs = isBatch ? value.jobs : [value]
+      await consumeInsightGenerations(req, inputs.length)
+      const jobs = await enqueueInsightJobs(req, inputs)
+
+      if (!isBatch) res.setHeader("Location", `/api/insights/jobs/${jobs[0]._id}`)
+      res.status(202).json({
+        success: true,
+        data: isBatch ? { jobs: jobs.map((job) => jobView(job)) } : jobView(jobs[0]),
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/insights/jobs/{id}:
+ *   get:
+ *     summary: Get an insight job
+ *     description: >-
+ *       status is pending, running, succeeded, failed or cancelled. A succeeded job
+ *       includes the insight it produced; a failed one has lastError. A pending job
+ *       with lastError is waiting to be retried at runAfter.
+ *     tags: [Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The job
+ *       404:
+ *         description: Job not found
+ */
+router.get("/jobs/:id", authenticateWithScope("insights:read"), resolveWorkspace, async (req, res, next) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id)
+      ? await InsightJob.findOne({ _id: req.params.id, workspaceId: req.workspace._id })
+      : null
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+        statusCode: 404,
+      })
+    }
+
+    const insight = job.insightId && (await Insight.findOne({ _id: job.insightId, deletedAt: null }))
     res.status(200).json({
       success: true,
-      data: {
-        insight: insight.content,
-        confidence: insight.confidence,
-        model: "openai/gpt-4-mini",
-      },
+      data: jobView(job, insight),
     })
   } catch (error) {
-    if (error.response?.status === 401) {
-      return res.status(500).json({
-        success: false,
-        error: "OpenRouter API key invalid",
-        statusCode: 500,
-      })
-    }
     next(error)
   }
 })
 
+/**
+ * @swagger
+ * /api/insights/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel an insight job
+ *     description: >-
+ *       A pending job is cancelled right away. A running job is stopped within a few
+ *       seconds and nothing is saved; until then it's returned with cancelRequested.
+ *     tags: [Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       202:
+ *         description: The running job was asked to stop
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: The job already succeeded or failed
+ */
+router.post(
+  "/jobs/:id/cancel",
+  authenticateWithScope("insights:generate"),
+  resolveWorkspace,
+  requireRole("editor"),
+  async (req, res, next) => {
+    try {
+      const job = mongoose.isValidObjectId(req.params.id)
+        ? await cancelInsightJob(req.workspace._id, req.params.id)
+        : null
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: "Job not found",
+          statusCode: 404,
+        })
+      }
+
+      if (job.status === "succeeded" || job.status === "failed") {
+        return res.status(409).json({
+          success: false,
+          error: `The job already ${job.status}`,
+          statusCode: 409,
+        })
+      }
+
+      res.status(job.status === "running" ? 202 : 200).json({
+        success: true,
+        data: jobView(job),
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
 /**
  * @swagger
  * /api/insights:
  *   get:
- *     summary: Get user's insights
+ *     summary: Get insights in the active workspace
  *     tags: [Insights]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - name: cursor
+ *         in: query
+ *         description: Opaque cursor from a previous response's nextCursor or prevCursor
+ *         schema:
+ *           type: string
  *       - name: limit
  *         in: query
  *         schema:
  *           type: integer
  *           default: 20
+ *           maximum: 100
+ *       - name: includeTotal
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *           default: false
  *       - name: type
  *         in: query
  *         schema:
  *           type: string
  *           enum: [trend, recommendation, generated]
+ *       - name: entityId
+ *         in: query
+ *         description: Only insights about this entity, including ones generated from several entities or a category
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of insights
+ *         description: Insights, newest first, with pagination and next/prev links
+ *       400:
+ *         description: Invalid query or cursor
  */
-router.get("/", authenticateToken, async (req, res, next) => {
+router.get("/", authenticateWithScope("insights:read"), resolveWorkspace, async (req, res, next) => {
   try {
-    const limit = Number.parseInt(req.query.limit) || 20
-    const query = { userId: req.user.sub }
+    const schema = Joi.object({
+      cursor: Joi.string().max(2000),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      includeTotal: Joi.boolean().default(false),
+      type: Joi.string().valid("trend", "recommendation", "generated"),
+      entityId: Joi.string().hex().length(24),
+    })
 
-    if (req.query.type) {
-      query.type = req.query.type
+    const { error, value } = schema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const query = { workspaceId: req.workspace._id, deletedAt: null }
+    if (value.type) {
+      query.type = value.type
     }
+    if (value.entityId) {
+      Object.assign(query, linkedToEntities([value.entityId]))
+    }
+
+    const { items, nextCursor, prevCursor } = await paginate(Insight, {
+      filter: query,
+      sort: { createdAt: -1, _id: -1 },
+      limit: value.limit,
+      cursor: value.cursor,
+    })
 
-    const insights = await Insight.find(query).sort({ createdAt: -1 }).limit(limit)
+    const pagination = { limit: value.limit, nextCursor, prevCursor }
+    if (value.includeTotal) {
+      pagination.total = await Insight.countDocuments(query)
+    }
 
+    // data stays a plain array so existing clients keep working
     res.status(200).json({
       success: true,
-      data: insights,
+      data: items,
+      pagination,
+      links: pageLinks(req, { nextCursor, prevCursor }),
     })
   } catch (error) {
     next(error)
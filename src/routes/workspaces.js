@@ -0,0 +1,710 @@
+import express from "express"
+import Joi from "joi"
+import Workspace from "../models/Workspace.js"
+import WorkspaceInvitation from "../models/WorkspaceInvitation.js"
+import Entity from "../models/Entity.js"
+import EntityRevision from "../models/EntityRevision.js"
+import MetricEvent from "../models/MetricEvent.js"
+import Insight from "../models/Insight.js"
+import InsightJob from "../models/InsightJob.js"
+import User from "../models/User.js"
+import { authenticateToken } from "../middleware/auth.js"
+import { resolveWorkspace, requireRole, ensurePersonalWorkspace, hasRole } from "../middleware/workspace.js"
+import { sendWorkspaceInvitationEmail } from "../services/mailer.js"
+import { llmProviderNames } from "../services/llm.js"
+import { hashToken, randomToken } from "../utils/tokens.js"
+
+const router = express.Router()
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List workspaces the current user belongs to
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workspaces with the user's role in each
+ */
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    await ensurePersonalWorkspace(req.user.sub)
+    const workspaces = await Workspace.find({ "members.userId": req.user.sub }).sort({ personal: -1, createdAt: 1 })
+
+    res.status(200).json({
+      success: true,
+      data: workspaces.map((workspace) => ({
+        id: workspace.id,
+        name: workspace.name,
+        personal: workspace.personal,
+        role: workspace.roleOf(req.user.sub),
+        memberCount: workspace.members.length,
+        createdAt: workspace.createdAt,
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   post:
+ *     summary: Create a workspace owned by the current user
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Workspace created
+ *       400:
+ *         description: Validation error
+ */
+router.post("/", authenticateToken, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().trim().max(100).required(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const workspace = await Workspace.create({
+      name: value.name,
+      ownerId: req.user.sub,
+      members: [{ userId: req.user.sub, role: "owner" }],
+    })
+
+    res.status(201).json({
+      success: true,
+      data: workspace,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/workspaces/invitations/accept:
+ *   post:
+ *     summary: Accept a workspace invitation
+ *     description: The invitation must have been sent to the current user's email address.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Joined the workspace
+ *       400:
+ *         description: Invalid or expired invitation
+ */
+router.post("/invitations/accept", authenticateToken, async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      token: Joi.string().required(),
+    })
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    const user = await User.findById(req.user.sub)
+    const invitation =
+      user &&
+      (await WorkspaceInvitation.findOneAndUpdate(
+        {
+          tokenHash: hashToken(value.token),
+          email: user.email,
+          status: "pending",
+          expiresAt: { $gt: new Date() },
+        },
+        { status: "accepted", acceptedAt: new Date() },
+      ))
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired invitation",
+        statusCode: 400,
+      })
+    }
+
+    await Workspace.updateOne(
+      { _id: invitation.workspaceId, "members.userId": { $ne: user._id } },
+      { $push: { members: { userId: user._id, role: invitation.role } }, updatedAt: new Date() },
+    )
+
+    res.status(200).json({
+      success: true,
+      data: { workspaceId: invitation.workspaceId },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   get:
+ *     summary: Get a workspace with its members
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: workspaceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Workspace details
+ *       404:
+ *         description: Workspace not found
+ */
+router.get("/:workspaceId", authenticateToken, resolveWorkspace, async (req, res, next) => {
+  try {
+    await req.workspace.populate("members.userId", "name email avatar")
+
+    res.status(200).json({
+      success: true,
+      data: req.workspace,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   put:
+ *     summary: Rename a workspace or change its settings
+ *     description: >-
+ *       settings.llm overrides the server's LLM provider, model, maxTokens and
+ *       temperature for insights generated in this workspace. Send null to go back to
+ *       the defaults. Provider URLs and API keys are only configured on the server.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: workspaceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               settings:
+ *                 type: object
+ *                 properties:
+ *                   llm:
+ *                     type: object
+ *                     nullable: true
+ *                     properties:
+ *                       provider:
+ *                         type: string
+ *                         enum: [openrouter, openai, mock]
+ *                       model:
+ *                         type: string
+ *                       maxTokens:
+ *                         type: integer
+ *                       temperature:
+ *                         type: number
+ *     responses:
+ *       200:
+ *         description: Workspace updated
+ *       403:
+ *         description: Requires the admin role
+ */
+router.put("/:workspaceId", authenticateToken, resolveWorkspace, requireRole("admin"), async (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().trim().max(100),
+      settings: Joi.object({
+        llm: Joi.object({
+          provider: Joi.string().valid(...llmProviderNames()),
+          model: Joi.string().trim().max(200),
+          maxTokens: Joi.number().integer().min(1).max(32000),
+          temperature: Joi.number().min(0).max(2),
+        }).allow(null),
+      }),
+    }).or("name", "settings")
+
+    const { error, value } = schema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        statusCode: 400,
+      })
+    }
+
+    if (value.name) req.workspace.name = value.name
+    if (value.settings?.llm !== undefined) req.workspace.set("settings.llm", value.settings.llm)
+    req.workspace.updatedAt = new Date()
+    await req.workspace.save()
+
+    res.status(200).json({
+      success: true,
+      data: req.workspace,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   delete:
+ *     summary: Delete a workspace with all of its entities and insights
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: workspaceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Workspace deleted
+ *       400:
+ *         description: Personal workspaces can't be deleted
+ *       403:
+ *         description: Requires the owner role
+ */
+router.delete("/:workspaceId", authenticateToken, resolveWorkspace, requireRole("owner"), async (req, res, next) => {
+  try {
+    if (req.workspace.personal) {
+      return res.status(400).json({
+        success: false,
+        error: "Personal workspaces can't be deleted",
+        statusCode: 400,
+      })
+    }
+
+    const workspaceId = req.workspace._id
+    await Entity.deleteMany({ workspaceId })
+    await EntityRevision.deleteMany({ workspaceId })
+    await MetricEvent.deleteMany({ workspaceId })
+    await Insight.deleteMany({ workspaceId })
+    await InsightJob.deleteMany({ workspaceId })
+    await WorkspaceInvitation.deleteMany({ workspaceId })
+    await Workspace.deleteOne({ _id: workspaceId })
+
+    res.status(200).json({
+      success: true,
+      message: "Workspace deleted successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: workspaceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Requires the admin role, or the member is the owner
+ *       404:
+ *         description: Member not found
+ */
+router.put(
+  "/:workspaceId/members/:userId",
+  authenticateToken,
+  resolveWorkspace,
+  requireRole("admin"),
+  async (req, res, next) => {
+    try {
+      const schema = Joi.object({
+        role: Joi.string().valid("viewer", "editor", "admin").required(),
+      })
+
+      const { error, value } = schema.validate(req.body)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
+
+      const member = req.workspace.members.find((m) => m.userId.toString() === req.params.userId)
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          error: "Member not found",
+          statusCode: 404,
+        })
+      }
+
+      if (member.role === "owner") {
+        return res.status(403).json({
+          success: false,
+          error: "The owner's role can't be changed",
+          statusCode: 403,
+        })
+      }
+
+      member.role = value.role
+      req.workspace.updatedAt = new Date()
+      await req.workspace.save()
+
+      res.status(200).json({
+        success: true,
+        data: req.workspace,
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member, or leave the workspace when userId is your own
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: workspaceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Requires the admin role, or the member is the owner
+ *       404:
+ *         description: Member not found
+ */
+router.delete("/:workspaceId/members/:userId", authenticateToken, resolveWorkspace, async (req, res, next) => {
+  try {
+    const leaving = req.params.userId === req.user.sub
+    if (!leaving && !hasRole(req.workspaceRole, "admin")) {
+      return res.status(403).json({
+        success: false,
+        error: "This action requires the admin role",
+        statusCode: 403,
+      })
+    }
+
+    const member = req.workspace.members.find((m) => m.userId.toString() === req.params.userId)
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: "Member not found",
+        statusCode: 404,
+      })
+    }
+
+    if (member.role === "owner") {
+      return res.status(403).json({
+        success: false,
+        error: "The owner can't be removed from the workspace",
+        statusCode: 403,
+      })
+    }
+
+    req.workspace.members = req.workspace.members.filter((m) => m !== member)
+    req.workspace.updatedAt = new Date()
+    await req.workspace.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations:
+ *   get:
+ *     summary: List pending invitations
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: workspaceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ *       403:
+ *         description: Requires the admin role
+ */
+router.get(
+  "/:workspaceId/invitations",
+  authenticateToken,
+  resolveWorkspace,
+  requireRole("admin"),
+  async (req, res, next) => {
+    try {
+      const invitations = await WorkspaceInvitation.find({
+        workspaceId: req.workspace._id,
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+      }).sort({ createdAt: -1 })
+
+      res.status(200).json({
+        success: true,
+        data: invitations,
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations:
+ *   post:
+ *     summary: Invite someone to the workspace by email
+ *     description: Replaces any pending invitation for the same email.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: workspaceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error or already a member
+ *       403:
+ *         description: Requires the admin role
+ */
+router.post(
+  "/:workspaceId/invitations",
+  authenticateToken,
+  resolveWorkspace,
+  requireRole("admin"),
+  async (req, res, next) => {
+    try {
+      const schema = Joi.object({
+        email: Joi.string().email().lowercase().required(),
+        role: Joi.string().valid("viewer", "editor", "admin").default("viewer"),
+      })
+
+      const { error, value } = schema.validate(req.body)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message,
+          statusCode: 400,
+        })
+      }
+
+      const invitee = await User.findOne({ email: value.email })
+      if (invitee && req.workspace.roleOf(invitee._id)) {
+        return res.status(400).json({
+          success: false,
+          error: "User is already a member of this workspace",
+          statusCode: 400,
+        })
+      }
+
+      await WorkspaceInvitation.updateMany(
+        { workspaceId: req.workspace._id, email: value.email, status: "pending" },
+        { status: "revoked" },
+      )
+
+      const token = randomToken(32)
+      const invitation = await WorkspaceInvitation.create({
+        workspaceId: req.workspace._id,
+        email: value.email,
+        role: value.role,
+        invitedBy: req.user.sub,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+      })
+
+      // The invitation stands even if the email fails; inviting again sends a new one
+      try {
+        const inviter = await User.findById(req.user.sub)
+        await sendWorkspaceInvitationEmail(value.email, req.workspace, inviter, token)
+      } catch (error) {
+        console.error("Failed to send workspace invitation email:", error)
+      }
+
+      res.status(201).json({
+        success: true,
+        data: invitation,
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: workspaceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: invitationId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete(
+  "/:workspaceId/invitations/:invitationId",
+  authenticateToken,
+  resolveWorkspace,
+  requireRole("admin"),
+  async (req, res, next) => {
+    try {
+      const invitation = await WorkspaceInvitation.findOneAndUpdate(
+        { _id: req.params.invitationId, workspaceId: req.workspace._id, status: "pending" },
+        { status: "revoked" },
+      )
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          error: "Invitation not found",
+          statusCode: 404,
+        })
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Invitation revoked successfully",
+      })
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+export default router
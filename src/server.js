@@ -11,6 +11,13 @@ import authRoutes from "./routes/auth.js";
 import entityRoutes from "./routes/entities.js";
 import analyticsRoutes from "./routes/analytics.js";
 import insightsRoutes from "./routes/insights.js";
+import workspaceRoutes from "./routes/workspaces.js";
+import apiKeyRoutes from "./routes/apiKeys.js";
+import auditRoutes from "./routes/audit.js";
+import eventRoutes from "./routes/events.js";
+import { purgeDeletedAccounts } from "./services/accounts.js";
+import { purgeTrashedEntities } from "./services/entities.js";
+import { startInsightWorker } from "./services/insightJobs.js";
 
 dotenv.config();
 
@@ -31,6 +38,7 @@ app.use(
       "X-Requested-With",
       "Accept",
       "Origin",
+      "X-Workspace-Id",
       "Access-Control-Request-Method",
       "Access-Control-Request-Headers",
     ],
@@ -96,7 +104,24 @@ const swaggerOptions = {
           type: "http",
           scheme: "bearer",
           bearerFormat: "JWT",
-          description: "JWT Authorization token",
+          description:
+            "JWT access token, or a personal API key on routes that accept one",
+        },
+      },
+      parameters: {
+        WorkspaceId: {
+          name: "X-Workspace-Id",
+          in: "header",
+          required: false,
+          description: "Active workspace, defaults to the user's personal workspace",
+          schema: { type: "string" },
+        },
+      },
+      headers: {
+        "X-Cache": {
+          description:
+            "HIT if the result came from the analytics cache, MISS if it was computed, BYPASS if caching is off",
+          schema: { type: "string", enum: ["HIT", "MISS", "BYPASS"] },
         },
       },
       schemas: {
@@ -105,16 +130,45 @@ const swaggerOptions = {
           properties: {
             id: { type: "string", format: "uuid" },
             email: { type: "string", format: "email" },
+            emailVerified: { type: "boolean" },
+            twoFactorEnabled: { type: "boolean" },
+            deletionScheduledAt: { type: "string", format: "date-time" },
             name: { type: "string" },
             avatar: { type: "string", format: "uri" },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
           },
         },
+        Workspace: {
+          type: "object",
+          properties: {
+            id: { type: "string", format: "uuid" },
+            name: { type: "string" },
+            ownerId: { type: "string", format: "uuid" },
+            personal: { type: "boolean" },
+            members: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  userId: { type: "string", format: "uuid" },
+                  role: {
+                    type: "string",
+                    enum: ["viewer", "editor", "admin", "owner"],
+                  },
+                  joinedAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
+            createdAt: { type: "string", format: "date-time" },
+            updatedAt: { type: "string", format: "date-time" },
+          },
+        },
         Entity: {
           type: "object",
           properties: {
             id: { type: "string", format: "uuid" },
+            workspaceId: { type: "string", format: "uuid" },
             userId: { type: "string", format: "uuid" },
             title: { type: "string" },
             description: { type: "string" },
@@ -130,14 +184,31 @@ const swaggerOptions = {
                 score: { type: "number" },
               },
             },
+            revision: { type: "integer" },
+            deletedAt: { type: "string", format: "date-time", nullable: true },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
           },
         },
+        MetricEvent: {
+          type: "object",
+          required: ["entityId", "type"],
+          properties: {
+            entityId: { type: "string" },
+            type: { type: "string", enum: ["view", "engagement"] },
+            value: { type: "number", default: 1 },
+            timestamp: { type: "string", format: "date-time" },
+            id: {
+              type: "string",
+              description: "Client-generated id used to drop duplicates",
+            },
+          },
+        },
         Insight: {
           type: "object",
           properties: {
             id: { type: "string", format: "uuid" },
+            workspaceId: { type: "string", format: "uuid" },
             userId: { type: "string", format: "uuid" },
             title: { type: "string" },
             content: { type: "string" },
@@ -145,7 +216,9 @@ const swaggerOptions = {
               type: "string",
               enum: ["trend", "recommendation", "generated"],
             },
-            confidence: { type: "number", format: "decimal" },
+            confidence: { type: "number", format: "decimal", nullable: true },
+            provider: { type: "string" },
+            model: { type: "string" },
             createdAt: { type: "string", format: "date-time" },
           },
         },
@@ -178,6 +251,10 @@ app.use("/api/auth", authRoutes);
 app.use("/api/entities", entityRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/insights", insightsRoutes);
+app.use("/api/workspaces", workspaceRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/events", eventRoutes);
 
 app.use((req, res) => {
   res.status(404).json({
@@ -189,6 +266,28 @@ app.use((req, res) => {
 
 app.use(errorHandler);
 
+// Permanently remove accounts whose deletion grace period has ended and
+// entities that have outlived the trash retention period
+setInterval(async () => {
+  try {
+    await connectDB();
+    const purged = await purgeDeletedAccounts();
+    if (purged > 0) console.log(`Purged ${purged} deleted account(s)`);
+  } catch (error) {
+    console.error("Account purge failed:", error);
+  }
+
+  try {
+    const purged = await purgeTrashedEntities();
+    if (purged > 0) console.log(`Purged ${purged} trashed entities`);
+  } catch (error) {
+    console.error("Trash purge failed:", error);
+  }
+}, 60 * 60 * 1000).unref();
+
+// Run queued insight jobs on this instance
+startInsightWorker();
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
@@ -0,0 +1,46 @@
+import User from "../models/User.js"
+import Entity from "../models/Entity.js"
+import EntityRevision from "../models/EntityRevision.js"
+import MetricEvent from "../models/MetricEvent.js"
+import Insight from "../models/Insight.js"
+import InsightJob from "../models/InsightJob.js"
+import Workspace from "../models/Workspace.js"
+import WorkspaceInvitation from "../models/WorkspaceInvitation.js"
+import Session from "../models/Session.js"
+import RefreshToken from "../models/RefreshToken.js"
+import AccountToken from "../models/AccountToken.js"
+import ApiKey from "../models/ApiKey.js"
+
+// Permanently removes a user, the workspaces they own and all of their
+// content. In workspaces shared with them, what they created stays with the
+// workspace and only their membership goes.
+export const purgeUser = async (userId) => {
+  const ownedWorkspaces = await Workspace.find({ ownerId: userId }).select("_id")
+  const workspaceIds = ownedWorkspaces.map((workspace) => workspace._id)
+
+  await EntityRevision.deleteMany({ workspaceId: { $in: workspaceIds } })
+  await MetricEvent.deleteMany({ workspaceId: { $in: workspaceIds } })
+  await Entity.deleteMany({ workspaceId: { $in: workspaceIds } })
+  await Insight.deleteMany({ workspaceId: { $in: workspaceIds } })
+  await InsightJob.deleteMany({ workspaceId: { $in: workspaceIds } })
+  await WorkspaceInvitation.deleteMany({ workspaceId: { $in: workspaceIds } })
+  await Workspace.deleteMany({ _id: { $in: workspaceIds } })
+  await Workspace.updateMany({ "members.userId": userId }, { $pull: { members: { userId } } })
+
+  await Session.deleteMany({ userId })
+  await RefreshToken.deleteMany({ userId })
+  await AccountToken.deleteMany({ userId })
+  await ApiKey.deleteMany({ userId })
+  await User.deleteOne({ _id: userId })
+}
+
+// Purges every account whose deletion grace period has ended
+export const purgeDeletedAccounts = async () => {
+  const users = await User.find({ deletionScheduledAt: { $lte: new Date() } }).select("_id")
+
+  for (const user of users) {
+    await purgeUser(user._id)
+  }
+
+  return users.length
+}
@@ -0,0 +1,379 @@
+import Joi from "joi"
+import Entity from "../models/Entity.js"
+import MetricEvent from "../models/MetricEvent.js"
+import Workspace from "../models/Workspace.js"
+import { TtlCache } from "../utils/cache.js"
+import {
+  WEEKDAYS,
+  isValidTimeZone,
+  localDate,
+  startOfLocalDay,
+  addDays,
+  addMonths,
+  addYears,
+  daysBetween,
+  weekdayOf,
+  compareDates,
+  formatDate,
+  formatMonth,
+} from "../utils/timezone.js"
+
+export const PERIODS = {
+  daily: { unit: "day", format: "%Y-%m-%d" },
+  weekly: { unit: "week", format: "%Y-%m-%d" },
+  monthly: { unit: "month", format: "%Y-%m" },
+}
+
+// Charts beyond this many points aren't useful and would be costly to fill
+const MAX_BUCKETS = 1000
+
+// Cached results are keyed by the workspace's dataVersion, which every entity
+// or metric change bumps, so a change makes older results unreachable on
+// every instance at once. The TTL only bounds how long an unchanged result
+// lives, which matters for "this month" style statistics.
+let cache
+const getCache = () => {
+  const ttlSeconds = Number.parseInt(process.env.ANALYTICS_CACHE_TTL_SECONDS || "300")
+  if (ttlSeconds <= 0) return null
+  cache ||= new TtlCache({ ttlMs: ttlSeconds * 1000 })
+  return cache
+}
+
+// Marks the workspace's analytics as stale. Call it after a transaction
+// commits rather than inside it, so concurrent writes to the workspace don't
+// conflict on the version.
+export const bumpDataVersion = (workspaceId) =>
+  Workspace.updateOne({ _id: workspaceId }, { $inc: { dataVersion: 1 } }, { timestamps: false })
+
+// Returns { value, cacheStatus } where cacheStatus is HIT, MISS, or BYPASS
+// when caching is turned off. `compute` runs on a miss.
+export const cachedAnalytics = async (workspace, name, params, compute) => {
+  const store = getCache()
+  if (!store) return { value: await compute(), cacheStatus: "BYPASS" }
+
+  const key = [workspace._id, workspace.dataVersion || 0, name, JSON.stringify(params)].join(":")
+  const cached = store.get(key)
+  if (cached !== undefined) return { value: cached, cacheStatus: "HIT" }
+
+  const value = await compute()
+  store.set(key, value)
+  return { value, cacheStatus: "MISS" }
+}
+
+// IANA time zone query parameter
+export const timeZoneSchema = Joi.string()
+  .default("UTC")
+  .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.message("{{#label}} is not a known time zone")))
+
+// The last instant of the given date in `timeZone`
+const endOfLocalDay = (date, timeZone) => new Date(startOfLocalDay(addDays(date, 1), timeZone).getTime() - 1)
+
+// Reads a startDate/endDate parameter. A plain date (2024-05-01) means that
+// day in `timeZone`: its first instant, or its last one for an end date.
+// Anything else must be a full ISO timestamp. Returns null when unreadable.
+export const resolveDate = (value, timeZone, { endOfDay = false } = {}) => {
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value)
+  if (day) {
+    const date = { year: Number(day[1]), month: Number(day[2]), day: Number(day[3]) }
+    return endOfDay ? endOfLocalDay(date, timeZone) : startOfLocalDay(date, timeZone)
+  }
+
+  const date = new Date(value)
+  return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(date.getTime()) ? date : null
+}
+
+// First day of the period containing `date`
+const periodStart = (date, period, weekStart) => {
+  if (period === "weekly") return addDays(date, -((weekdayOf(date) - WEEKDAYS.indexOf(weekStart) + 7) % 7))
+  if (period === "monthly") return { ...date, day: 1 }
+  return date
+}
+
+const nextPeriod = (date, period) => {
+  if (period === "monthly") return addMonths(date, 1)
+  return addDays(date, period === "weekly" ? 7 : 1)
+}
+
+// Keys of every period overlapping [start, end] in the time zone, oldest
+// first. Throws a 400 error when there would be too many.
+export const bucketKeys = (start, end, { period, timeZone, weekStart }) => {
+  const format = period === "monthly" ? formatMonth : formatDate
+  const last = localDate(end, timeZone)
+  const keys = []
+  let date = periodStart(localDate(start, timeZone), period, weekStart)
+  while (compareDates(date, last) <= 0) {
+    if (keys.length === MAX_BUCKETS) {
+      const error = new Error(`The date range spans more than ${MAX_BUCKETS} periods, use a longer period`)
+      error.statusCode = 400
+      throw error
+    }
+    keys.push(format(date))
+    date = nextPeriod(date, period)
+  }
+  return keys
+}
+
+// Aggregation expression for the key of the period a date field falls in.
+// Produces the same keys as bucketKeys.
+export const bucketExpression = (field, { period, timeZone, weekStart }) => ({
+  $dateToString: {
+    date: { $dateTrunc: { date: field, unit: PERIODS[period].unit, timezone: timeZone, startOfWeek: weekStart } },
+    format: PERIODS[period].format,
+    timezone: timeZone,
+  },
+})
+
+// Headline numbers for the dashboard. trend is the percentage change in
+// entities created this calendar month versus last month, in `timeZone`.
+export const dashboardStats = async (workspaceId, { timeZone }) => {
+  const today = localDate(new Date(), timeZone)
+  const thisMonth = startOfLocalDay({ ...today, day: 1 }, timeZone)
+  const lastMonth = startOfLocalDay(addMonths(today, -1), timeZone)
+  const nextMonth = startOfLocalDay(addMonths(today, 1), timeZone)
+  const createdBetween = (from, to) => ({
+    $cond: [{ $and: [{ $gte: ["$createdAt", from] }, { $lt: ["$createdAt", to] }] }, 1, 0],
+  })
+
+  const [totals] = await Entity.aggregate([
+    { $match: { workspaceId, deletedAt: null } },
+    {
+      $group: {
+        _id: null,
+        totalEntities: { $sum: 1 },
+        activeEntities: { $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] } },
+        totalViews: { $sum: "$metrics.views" },
+        avgEngagement: { $avg: { $ifNull: ["$metrics.engagement", 0] } },
+        thisMonthEntities: { $sum: createdBetween(thisMonth, nextMonth) },
+        lastMonthEntities: { $sum: createdBetween(lastMonth, thisMonth) },
+      },
+    },
+  ])
+
+  if (!totals) {
+    return { totalEntities: 0, activeEntities: 0, avgEngagement: 0, totalViews: 0, trend: 0 }
+  }
+
+  const { thisMonthEntities, lastMonthEntities } = totals
+  return {
+    totalEntities: totals.totalEntities,
+    activeEntities: totals.activeEntities,
+    avgEngagement: Math.round(totals.avgEngagement * 10) / 10,
+    totalViews: totals.totalViews,
+    trend:
+      lastMonthEntities > 0 ? Math.round(((thisMonthEntities - lastMonthEntities) / lastMonthEntities) * 100) : 0,
+  }
+}
+
+// Sums of view and engagement event values
+const activityTotals = {
+  views: { $sum: { $cond: [{ $eq: ["$type", "view"] }, "$value", 0] } },
+  engagement: { $sum: { $cond: [{ $eq: ["$type", "engagement"] }, "$value", 0] } },
+}
+
+// Views and engagement by when they happened, and entities created, for each
+// period between start and end. Empty periods are included as zeros so the
+// series is continuous.
+export const performanceSeries = async (workspaceId, { start, end, period, timeZone, weekStart }) => {
+  const options = { period, timeZone, weekStart }
+  const series = new Map(
+    bucketKeys(start, end, options).map((date) => [date, { date, entities: 0, views: 0, engagement: 0 }]),
+  )
+
+  // Activity on trashed entities is hidden along with the entities
+  const trashed = await Entity.find({ workspaceId, deletedAt: { $ne: null } }).distinct("_id")
+  const activity = await MetricEvent.aggregate([
+    { $match: { workspaceId, entityId: { $nin: trashed }, occurredAt: { $gte: start, $lte: end } } },
+    { $group: { _id: bucketExpression("$occurredAt", options), ...activityTotals } },
+  ])
+  const created = await Entity.aggregate([
+    { $match: { workspaceId, deletedAt: null, createdAt: { $gte: start, $lte: end } } },
+    { $group: { _id: bucketExpression("$createdAt", options), entities: { $sum: 1 } } },
+  ])
+
+  for (const { _id, ...totals } of [...activity, ...created]) {
+    const bucket = series.get(_id)
+    if (bucket) Object.assign(bucket, totals)
+  }
+  return [...series.values()]
+}
+
+export const BREAKDOWN_FIELDS = ["category", "priority", "status", "tag"]
+export const BREAKDOWN_METRICS = ["views", "engagement", "score"]
+
+// Per entity views, engagement and score as `m`. Without a date range these
+// are the entity's lifetime metrics, with one they come from the events that
+// happened in it.
+const entityMetricsStages = (start, end) => {
+  if (!start) {
+    return [
+      {
+        $set: {
+          m: {
+            views: { $ifNull: ["$metrics.views", 0] },
+            engagement: { $ifNull: ["$metrics.engagement", 0] },
+            score: { $ifNull: ["$metrics.score", 0] },
+          },
+        },
+      },
+    ]
+  }
+
+  return [
+    {
+      $lookup: {
+        from: MetricEvent.collection.name,
+        let: { entityId: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$entityId", "$$entityId"] }, occurredAt: { $gte: start, $lte: end } } },
+          { $group: { _id: null, ...activityTotals } },
+        ],
+        as: "activity",
+      },
+    },
+    {
+      $set: {
+        m: {
+          views: { $ifNull: [{ $first: "$activity.views" }, 0] },
+          engagement: { $ifNull: [{ $first: "$activity.engagement" }, 0] },
+        },
+      },
+    },
+    {
+      $set: {
+        "m.score": { $cond: [{ $gt: ["$m.views", 0] }, { $divide: ["$m.engagement", "$m.views"] }, 0] },
+      },
+    },
+  ]
+}
+
+const summary = (field) => ({ total: `$${field}Total`, average: { $round: [`$${field}Average`, 2] } })
+
+// Entities matching `filter` grouped by a field, or by tag (an entity counts
+// towards each of its tags; untagged ones are grouped under null). Each group
+// has its entity count, total and average views, engagement and score, and
+// its `top` entities by `metric`. Groups come largest `metric` total first.
+export const breakdownStats = async (workspaceId, { groupBy, metric, top, filter, start, end }) => {
+  const field = groupBy === "tag" ? "tags" : groupBy
+  const accumulators = {}
+  for (const name of BREAKDOWN_METRICS) {
+    accumulators[`${name}Total`] = { $sum: `$m.${name}` }
+    accumulators[`${name}Average`] = { $avg: `$m.${name}` }
+  }
+
+  return Entity.aggregate([
+    { $match: { ...filter, workspaceId, deletedAt: null } },
+    ...entityMetricsStages(start, end),
+    ...(groupBy === "tag" ? [{ $unwind: { path: "$tags", preserveNullAndEmptyArrays: true } }] : []),
+    {
+      $group: {
+        _id: { $ifNull: [`$${field}`, null] },
+        count: { $sum: 1 },
+        ...accumulators,
+        // Keeps only the best `top` while grouping, however large the group
+        top: {
+          $topN: {
+            n: top,
+            sortBy: { [`m.${metric}`]: -1, _id: 1 },
+            output: { id: "$_id", title: "$title", value: `$m.${metric}` },
+          },
+        },
+      },
+    },
+    { $sort: { [`${metric}Total`]: -1, count: -1, _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        key: "$_id",
+        count: 1,
+        views: summary("views"),
+        engagement: summary("engagement"),
+        score: summary("score"),
+        top: 1,
+      },
+    },
+  ])
+}
+
+export const COMPARISONS = ["previousPeriod", "previousYear", "custom"]
+
+// The same instant a year earlier in UTC, with Feb 29 becoming Feb 28
+const yearEarlier = (instant) => {
+  const date = addYears(
+    { year: instant.getUTCFullYear(), month: instant.getUTCMonth() + 1, day: instant.getUTCDate() },
+    -1,
+  )
+  return new Date(Date.UTC(date.year, date.month - 1, date.day) + (instant.getTime() % 86400000))
+}
+
+// The range to compare [start, end] with: the one just before it of the same
+// length (previousPeriod) or the same dates a year earlier (previousYear).
+// Ranges of whole days in `timeZone` are moved by calendar days so they stay
+// whole days across DST changes; others are moved by their exact length.
+export const comparisonRange = (start, end, { compareTo, timeZone }) => {
+  const first = localDate(start, timeZone)
+  const last = localDate(end, timeZone)
+  const wholeDays =
+    startOfLocalDay(first, timeZone).getTime() === start.getTime() &&
+    endOfLocalDay(last, timeZone).getTime() === end.getTime()
+
+  if (!wholeDays) {
+    if (compareTo === "previousYear") return { start: yearEarlier(start), end: yearEarlier(end) }
+    const length = end.getTime() - start.getTime() + 1
+    return { start: new Date(start.getTime() - length), end: new Date(start.getTime() - 1) }
+  }
+
+  const [from, to] =
+    compareTo === "previousYear"
+      ? [addYears(first, -1), addYears(last, -1)]
+      : [addDays(first, -(daysBetween(first, last) + 1)), addDays(first, -1)]
+  return { start: startOfLocalDay(from, timeZone), end: endOfLocalDay(to, timeZone) }
+}
+
+// Entities created in [start, end], and views and engagement that happened in
+// it, over the live entities matching `filter`
+const rangeTotals = async (workspaceId, { filter, start, end }) => {
+  const [totals] = await Entity.aggregate([
+    { $match: { ...filter, workspaceId, deletedAt: null } },
+    ...entityMetricsStages(start, end),
+    {
+      $group: {
+        _id: null,
+        entities: {
+          $sum: { $cond: [{ $and: [{ $gte: ["$createdAt", start] }, { $lte: ["$createdAt", end] }] }, 1, 0] },
+        },
+        views: { $sum: "$m.views" },
+        engagement: { $sum: "$m.engagement" },
+      },
+    },
+  ])
+
+  const { entities = 0, views = 0, engagement = 0 } = totals || {}
+  return { entities, views, engagement, score: views > 0 ? engagement / views : 0 }
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+
+// changePercent is null when the baseline is zero and the current value isn't,
+// as no percentage describes growth from nothing
+const delta = (current, previous) => ({
+  current: round(current, 4),
+  previous: round(previous, 4),
+  change: round(current - previous, 4),
+  changePercent:
+    previous !== 0 ? round(((current - previous) / Math.abs(previous)) * 100, 1) : current === 0 ? 0 : null,
+})
+
+// Entity, view, engagement and score totals for two ranges and how the
+// current one differs from the previous one
+export const compareStats = async (workspaceId, { filter, current, previous }) => {
+  const [now, then] = await Promise.all([
+    rangeTotals(workspaceId, { filter, ...current }),
+    rangeTotals(workspaceId, { filter, ...previous }),
+  ])
+
+  const metrics = {}
+  for (const name of ["entities", "views", "engagement", "score"]) {
+    metrics[name] = delta(now[name], then[name])
+  }
+  return { current, previous, metrics }
+}
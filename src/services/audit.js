@@ -0,0 +1,44 @@
+import AuditLog from "../models/AuditLog.js"
+
+// Bookkeeping fields that change on every write and would only add noise
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt", "revision"])
+
+const toPlain = (doc) => (doc && typeof doc.toObject === "function" ? doc.toObject() : doc || {})
+
+// Top-level field diff between two snapshots. Nested values are compared by
+// their JSON form so arrays and subdocuments show up as a single change.
+export const diffSnapshots = (before, after) => {
+  const previous = toPlain(before)
+  const next = toPlain(after)
+  const changes = {}
+
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    if (IGNORED_FIELDS.has(field)) continue
+    if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+      changes[field] = { before: previous[field], after: next[field] }
+    }
+  }
+
+  return changes
+}
+
+// Appends an audit record for a mutation made by the authenticated request.
+// Pass `before` and/or `after` snapshots, whichever exist for the action, and
+// a session to write the record inside the caller's transaction. Requests
+// without a login, such as following an emailed link, name the actorId.
+export const recordAudit = (
+  req,
+  { actorId = req.user.sub, action, resourceType, resourceId, workspaceId, before, after },
+  { session } = {},
+) =>
+  new AuditLog({
+    actorId,
+    apiKeyId: req.user?.apiKeyId,
+    workspaceId,
+    action,
+    resourceType,
+    resourceId,
+    changes: diffSnapshots(before, after),
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  }).save({ session })
@@ -0,0 +1,248 @@
+import Joi from "joi"
+import mongoose from "mongoose"
+import Entity from "../models/Entity.js"
+import EntityRevision, { REVISED_FIELDS } from "../models/EntityRevision.js"
+import Insight from "../models/Insight.js"
+import MetricEvent from "../models/MetricEvent.js"
+import { recordAudit, diffSnapshots } from "./audit.js"
+import { bumpDataVersion } from "./analytics.js"
+
+// Request body schemas for single-entity writes, also applied to each row of
+// a bulk request
+export const entityCreateSchema = Joi.object({
+  title: Joi.string().required(),
+  description: Joi.string(),
+  category: Joi.string().required(),
+  priority: Joi.string().valid("low", "medium", "high"),
+  tags: Joi.array().items(Joi.string()),
+})
+
+export const entityUpdateSchema = Joi.object({
+  title: Joi.string(),
+  description: Joi.string(),
+  status: Joi.string().valid("active", "inactive"),
+  priority: Joi.string().valid("low", "medium", "high"),
+  tags: Joi.array().items(Joi.string()),
+})
+
+// Entity writes in the request's active workspace. Each is audited and marks
+// the workspace's cached analytics stale. Pass a session to run them inside a
+// transaction; the caller then calls bumpDataVersion once it commits, since
+// every transaction in the workspace writing the version would conflict.
+// Update, revert and delete resolve to null when the entity doesn't exist in
+// the workspace or is in the trash.
+
+const revisedFields = (entity) => {
+  const doc = typeof entity.toObject === "function" ? entity.toObject() : entity
+  return Object.fromEntries(
+    REVISED_FIELDS.filter((field) => doc[field] !== undefined).map((field) => [field, doc[field]]),
+  )
+}
+
+const recordRevision = (req, entity, { action, changes, revertedFrom }, { session }) =>
+  new EntityRevision({
+    entityId: entity._id,
+    workspaceId: entity.workspaceId,
+    revision: entity.revision,
+    action,
+    actorId: req.user.sub,
+    apiKeyId: req.user.apiKeyId,
+    revertedFrom,
+    changes,
+    snapshot: revisedFields(entity),
+  }).save({ session })
+
+export const createEntity = async (req, data, { session } = {}) => {
+  const entity = new Entity({
+    ...data,
+    workspaceId: req.workspace._id,
+    userId: req.user.sub,
+    revision: 1,
+  })
+
+  await entity.save({ session })
+  const changes = diffSnapshots({}, revisedFields(entity))
+  await recordRevision(req, entity, { action: "create", changes }, { session })
+  if (!session) await bumpDataVersion(req.workspace._id)
+  await recordAudit(
+    req,
+    {
+      action: "create",
+      resourceType: "entity",
+      resourceId: entity._id,
+      workspaceId: req.workspace._id,
+      after: entity,
+    },
+    { session },
+  )
+
+  return entity
+}
+
+// Applies `data` to a loaded entity and records a revision if any revised
+// field changed. The save only goes through if nobody else revised or trashed
+// the entity since it was loaded; otherwise it fails with a 409.
+const reviseEntity = async (req, entity, data, { action, revertedFrom }, { session }) => {
+  const before = entity.toObject()
+  entity.set({ ...data, updatedAt: new Date() })
+
+  const changes = diffSnapshots(revisedFields(before), revisedFields(entity))
+  const changed = Object.keys(changes).length > 0
+  if (changed) entity.revision = before.revision + 1
+
+  // Entities from before revisions were tracked have no revision stored
+  entity.$where = { revision: before.revision || { $in: [0, null] }, deletedAt: null }
+  try {
+    await entity.save({ session })
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.DocumentNotFoundError)) throw error
+    const conflict = new Error("Entity was changed by another request, try again")
+    conflict.statusCode = 409
+    throw conflict
+  }
+
+  if (changed) {
+    await recordRevision(req, entity, { action, changes, revertedFrom }, { session })
+  }
+  if (!session) await bumpDataVersion(req.workspace._id)
+  await recordAudit(
+    req,
+    {
+      action: "update",
+      resourceType: "entity",
+      resourceId: entity._id,
+      workspaceId: req.workspace._id,
+      before,
+      after: entity,
+    },
+    { session },
+  )
+
+  return entity
+}
+
+export const updateEntity = async (req, id, data, { session } = {}) => {
+  const entity = await Entity.findOne({ _id: id, workspaceId: req.workspace._id, deletedAt: null }, null, { session })
+  if (!entity) return null
+
+  return reviseEntity(req, entity, data, { action: "update" }, { session })
+}
+
+// Sets the revised fields back to how they were after the given revision.
+// History isn't rewritten: the revert is recorded as a new revision, unless
+// the entity already matches.
+export const revertEntity = async (req, id, revisionId, { session } = {}) => {
+  const entity = await Entity.findOne({ _id: id, workspaceId: req.workspace._id, deletedAt: null }, null, { session })
+  if (!entity) return null
+
+  const target = await EntityRevision.findOne({ _id: revisionId, entityId: entity._id }, null, { session })
+  if (!target) return null
+
+  // Fields missing from the snapshot weren't set at the time, so unset them
+  const data = Object.fromEntries(REVISED_FIELDS.map((field) => [field, target.snapshot[field]]))
+  return reviseEntity(req, entity, data, { action: "revert", revertedFrom: target._id }, { session })
+}
+
+// Flags the entity as missing from, or back in, the inputs of the insights
+// generated from it
+const markInsightInputs = (entityId, missing, { session }) =>
+  Insight.updateMany(
+    { "inputs.entities.entityId": entityId },
+    { $set: { "inputs.entities.$[input].missing": missing } },
+    { arrayFilters: [{ "input.entityId": entityId }], session },
+  )
+
+// Moves the entity to the trash. Insights linked to it through entityId go
+// with it and come back on restore; others it was an input to are only
+// flagged.
+export const deleteEntity = async (req, id, { session } = {}) => {
+  const deletedAt = new Date()
+  const entity = await Entity.findOneAndUpdate(
+    { _id: id, workspaceId: req.workspace._id, deletedAt: null },
+    { deletedAt, deletedBy: req.user.sub },
+    { session },
+  )
+  if (!entity) return null
+
+  await Insight.updateMany({ entityId: entity._id, deletedAt: null }, { deletedAt }, { session })
+  await markInsightInputs(entity._id, true, { session })
+  if (!session) await bumpDataVersion(req.workspace._id)
+  await recordAudit(
+    req,
+    {
+      action: "delete",
+      resourceType: "entity",
+      resourceId: entity._id,
+      workspaceId: req.workspace._id,
+      before: entity,
+    },
+    { session },
+  )
+
+  // findOneAndUpdate returned the document as it was before trashing
+  entity.set({ deletedAt, deletedBy: req.user.sub })
+  return entity
+}
+
+// Takes the entity out of the trash, along with the insights trashed with it.
+// Resolves to null when it isn't in the trash.
+export const restoreEntity = async (req, id, { session } = {}) => {
+  const entity = await Entity.findOne(
+    { _id: id, workspaceId: req.workspace._id, deletedAt: { $ne: null } },
+    null,
+    { session },
+  )
+  if (!entity) return null
+
+  const before = entity.toObject()
+  entity.set({ deletedAt: null, deletedBy: undefined })
+  await entity.save({ session })
+  await Insight.updateMany({ entityId: entity._id, deletedAt: before.deletedAt }, { deletedAt: null }, { session })
+  await markInsightInputs(entity._id, false, { session })
+  if (!session) await bumpDataVersion(req.workspace._id)
+  await recordAudit(
+    req,
+    {
+      action: "restore",
+      resourceType: "entity",
+      resourceId: entity._id,
+      workspaceId: req.workspace._id,
+      before,
+      after: entity,
+    },
+    { session },
+  )
+
+  return entity
+}
+
+const trashRetentionMs = () => Number.parseInt(process.env.ENTITY_TRASH_RETENTION_DAYS || "30") * 24 * 60 * 60 * 1000
+
+// When a trashed entity will be purged
+export const purgeDateOf = (entity) => new Date(entity.deletedAt.getTime() + trashRetentionMs())
+
+// Permanently removes entities that have been in the trash longer than the
+// retention period, together with their insights, revisions and events
+export const purgeTrashedEntities = async () => {
+  const cutoff = new Date(Date.now() - trashRetentionMs())
+  let purged = 0
+
+  while (true) {
+    const batch = await Entity.find({ deletedAt: { $lte: cutoff } })
+      .select("_id")
+      .limit(1000)
+    if (batch.length === 0) break
+
+    const ids = batch.map((entity) => entity._id)
+    // Re-check deletedAt in case an entity was restored in the meantime
+    const { deletedCount } = await Entity.deleteMany({ _id: { $in: ids }, deletedAt: { $lte: cutoff } })
+    const remaining = await Entity.find({ _id: { $in: ids } }).distinct("_id")
+    const purgedIds = ids.filter((id) => !remaining.some((other) => other.equals(id)))
+    await Insight.deleteMany({ entityId: { $in: purgedIds } })
+    await EntityRevision.deleteMany({ entityId: { $in: purgedIds } })
+    await MetricEvent.deleteMany({ entityId: { $in: purgedIds } })
+    purged += deletedCount
+  }
+
+  return purged
+}
@@ -0,0 +1,161 @@
+import Joi from "joi"
+import { entityCreateSchema } from "./entities.js"
+import { formatCsvRow, parseCsv, escapeFormula, unescapeFormula } from "../utils/csv.js"
+
+// Entity export and import in CSV and NDJSON.
+//
+// In CSV, tags share one cell separated by "|", e.g. "q3|launch". A "|" or "\"
+// inside a tag is escaped with a backslash, so any tag list survives a round
+// trip. Text that a spreadsheet would run as a formula (starting with =, +, -,
+// @, a tab or a carriage return) is exported with a leading ', which an import
+// drops again. Text that already starts with ' gets another one, so it comes
+// back unchanged. NDJSON keeps tags as a JSON array.
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+}
+
+const EXPORT_COLUMNS = [
+  ["id", (entity) => entity._id],
+  ["title", (entity) => entity.title],
+  ["description", (entity) => entity.description],
+  ["category", (entity) => entity.category],
+  ["status", (entity) => entity.status],
+  ["priority", (entity) => entity.priority],
+  ["tags", (entity) => formatTags(entity.tags)],
+  ["views", (entity) => entity.metrics?.views],
+  ["engagement", (entity) => entity.metrics?.engagement],
+  ["score", (entity) => entity.metrics?.score],
+  ["createdAt", (entity) => entity.createdAt?.toISOString()],
+  ["updatedAt", (entity) => entity.updatedAt?.toISOString()],
+]
+
+export const formatTags = (tags = []) => tags.map((tag) => tag.replace(/[\\|]/g, "\\$&")).join("|")
+
+export const parseTags = (cell) => {
+  const tags = []
+  let tag = ""
+  for (let i = 0; i < cell.length; i++) {
+    if (cell[i] === "\\" && i + 1 < cell.length) {
+      tag += cell[++i]
+    } else if (cell[i] === "|") {
+      tags.push(tag)
+      tag = ""
+    } else {
+      tag += cell[i]
+    }
+  }
+  tags.push(tag)
+  return tags.map((item) => item.trim()).filter(Boolean)
+}
+
+export const csvHeader = () => formatCsvRow(EXPORT_COLUMNS.map(([name]) => name))
+
+export const formatEntity = (entity, format) => {
+  if (format === "csv") {
+    return formatCsvRow(EXPORT_COLUMNS.map(([, read]) => escapeFormula(read(entity))))
+  }
+
+  // score is the text search relevance, not part of the entity
+  const { _id, __v, workspaceId, userId, score, ...fields } = entity
+  return JSON.stringify({ id: _id, ...fields }) + "\n"
+}
+
+// Fields an import can set. Metrics and timestamps belong to the system.
+export const IMPORT_FIELDS = ["title", "description", "category", "status", "priority", "tags"]
+
+const importRowSchema = entityCreateSchema.keys({
+  status: Joi.string().valid("active", "inactive"),
+})
+
+export const importMappingSchema = Joi.object()
+  .label("mapping")
+  .pattern(Joi.string(), Joi.string().valid(...IMPORT_FIELDS).allow(null))
+  .custom((mapping, helpers) => {
+    const targets = Object.values(mapping).filter(Boolean)
+    const duplicate = targets.find((field, i) => targets.indexOf(field) !== i)
+    if (duplicate) return helpers.message(`{{#label}} maps more than one column to "${duplicate}"`)
+    return mapping
+  })
+
+// Reads an import file into rows keyed by source column. Throws on input that
+// can't be split into rows at all.
+const readRows = (text, format) => {
+  if (format === "csv") {
+    const [header, ...rows] = parseCsv(text)
+    if (!header) return { columns: [], rows: [] }
+
+    const columns = header.values.map((name) => name.trim())
+    return {
+      columns,
+      rows: rows.map(({ line, values }) => ({
+        line,
+        error: values.length !== columns.length ? `Expected ${columns.length} columns, got ${values.length}` : null,
+        record: Object.fromEntries(columns.map((name, i) => [name, values[i] && unescapeFormula(values[i])])),
+      })),
+    }
+  }
+
+  const columns = new Set()
+  const rows = []
+  text.split(/\r?\n/).forEach((content, i) => {
+    if (!content.trim()) return
+
+    let record
+    try {
+      record = JSON.parse(content)
+    } catch (error) {
+      rows.push({ line: i + 1, error: "Invalid JSON" })
+      return
+    }
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      rows.push({ line: i + 1, error: "Each line must be a JSON object" })
+      return
+    }
+
+    Object.keys(record).forEach((name) => columns.add(name))
+    rows.push({ line: i + 1, error: null, record })
+  })
+  return { columns: [...columns], rows }
+}
+
+// Parses and validates an import file. Columns named after an import field are
+// picked up automatically; `mapping` renames other columns onto fields, or
+// maps a column to null to skip it. Returns the valid entities with their
+// source line, per-line errors and the columns that were not imported.
+export const parseImport = (text, { format, mapping = {} }) => {
+  const { columns, rows } = readRows(text, format)
+
+  const fieldFor = (column) => {
+    if (Object.hasOwn(mapping, column)) return mapping[column]
+    return IMPORT_FIELDS.includes(column) ? column : null
+  }
+  const ignoredColumns = columns.filter((column) => !fieldFor(column))
+
+  const entities = []
+  const errors = []
+  for (const { line, error, record } of rows) {
+    if (error) {
+      errors.push({ line, error })
+      continue
+    }
+
+    const data = {}
+    for (const [column, raw] of Object.entries(record)) {
+      const field = fieldFor(column)
+      // Empty cells mean "not set" rather than an empty string
+      if (!field || raw == null || raw === "") continue
+      data[field] = field === "tags" && typeof raw === "string" ? parseTags(raw) : raw
+    }
+
+    const { error: invalid, value } = importRowSchema.validate(data)
+    if (invalid) {
+      errors.push({ line, error: invalid.details[0].message })
+    } else {
+      entities.push({ line, data: value })
+    }
+  }
+
+  return { total: rows.length, entities, errors, ignoredColumns }
+}
@@ -0,0 +1,222 @@
+import crypto from "crypto"
+import os from "os"
+import InsightJob from "../models/InsightJob.js"
+import Workspace from "../models/Workspace.js"
+import { connectDB } from "../config/database.js"
+import { hasRole } from "../middleware/workspace.js"
+import { findContextEntities, generateInsight } from "./insights.js"
+
+// Insight jobs are queued in MongoDB and run by a worker loop in every server
+// instance. A worker claims a job with an atomic update and holds a lease on it
+// that it renews while the job runs, which is also when it notices a request
+// to cancel. If a worker dies, its lease runs out and another takes the job.
+
+const POLL_INTERVAL_MS = 1000
+const LEASE_MS = 30000
+// How often a running job renews its lease and checks for cancellation
+const WATCH_INTERVAL_MS = 2000
+// First pause before retrying a failed attempt, doubled on each retry
+const RETRY_BASE_MS = 30000
+// How long new jobs wait for their request to confirm them
+const ENQUEUE_HOLD_MS = 10000
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`
+
+const envInt = (name, fallback) => Number.parseInt(process.env[name] || String(fallback))
+
+const finishedFields = (fields) => {
+  const now = new Date()
+  const retentionMs = envInt("INSIGHT_JOB_RETENTION_DAYS", 7) * 24 * 60 * 60 * 1000
+  return { ...fields, finishedAt: now, expiresAt: new Date(now.getTime() + retentionMs) }
+}
+
+const jobError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+// Queues insight generation in the request's active workspace, one job per
+// validated insightRequestSchema body. Every body's entities are checked
+// first, so a bad id fails the request instead of a job. A user can have up to
+// INSIGHT_JOB_MAX_QUEUED jobs pending or running.
+export const enqueueInsightJobs = async (req, inputs) => {
+  const maxQueued = envInt("INSIGHT_JOB_MAX_QUEUED", 50)
+  const queuedFilter = { userId: req.user.sub, status: { $in: ["pending", "running"] } }
+  const queued = await InsightJob.countDocuments(queuedFilter)
+  if (queued + inputs.length > maxQueued) {
+    throw jobError(`You already have ${queued} insight jobs queued, the most allowed is ${maxQueued}`, 429)
+  }
+
+  for (const input of inputs) {
+    await findContextEntities(req.workspace._id, input)
+  }
+
+  // Held back from the workers until the cap is checked again with the jobs
+  // counted, since concurrent requests can all pass the check above. If we
+  // don't get to release them, they just start late.
+  const maxAttempts = Math.max(1, envInt("INSIGHT_JOB_MAX_ATTEMPTS", 3))
+  const jobs = await InsightJob.insertMany(
+    inputs.map((input) => ({
+      workspaceId: req.workspace._id,
+      userId: req.user.sub,
+      apiKeyId: req.user.apiKeyId,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      input,
+      maxAttempts,
+      runAfter: new Date(Date.now() + ENQUEUE_HOLD_MS),
+    })),
+  )
+  const ids = jobs.map((job) => job._id)
+
+  if ((await InsightJob.countDocuments(queuedFilter)) > maxQueued) {
+    await InsightJob.deleteMany({ _id: { $in: ids }, status: "pending" })
+    throw jobError(`You can have at most ${maxQueued} insight jobs queued, try again once some finish`, 429)
+  }
+
+  const runAfter = new Date()
+  await InsightJob.updateMany({ _id: { $in: ids }, status: "pending" }, { $set: { runAfter } })
+  for (const job of jobs) job.runAfter = runAfter
+  return jobs
+}
+
+// Cancels a job in the workspace. A pending job is cancelled right away; a
+// running one is asked to stop and is cancelled by its worker within a few
+// seconds. Resolves to the job, or null when there's no such job.
+export const cancelInsightJob = async (workspaceId, id) => {
+  const pending = await InsightJob.findOneAndUpdate(
+    { _id: id, workspaceId, status: "pending" },
+    { $set: finishedFields({ status: "cancelled" }) },
+    { new: true },
+  )
+  if (pending) return pending
+
+  const running = await InsightJob.findOneAndUpdate(
+    { _id: id, workspaceId, status: "running" },
+    { $set: { cancelRequested: true } },
+    { new: true },
+  )
+  return running || InsightJob.findOne({ _id: id, workspaceId })
+}
+
+// Updates a job this worker still holds the lease on, releasing it
+const release = (job, fields) =>
+  InsightJob.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: fields, $unset: { lockedBy: 1, lockedUntil: 1 } })
+
+const claimJob = () => {
+  const now = new Date()
+  return InsightJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", runAfter: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LEASE_MS), startedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAfter: 1 }, new: true },
+  )
+}
+
+// Stands in for the submitting request, for the audit record
+const jobRequest = (job, workspace) => ({
+  user: { sub: job.userId, apiKeyId: job.apiKeyId },
+  workspace,
+  ip: job.ip,
+  get: (header) => (header.toLowerCase() === "user-agent" ? job.userAgent : undefined),
+})
+
+const runJob = async (job) => {
+  const controller = new AbortController()
+  let cancelled = job.cancelRequested
+
+  const watch = setInterval(async () => {
+    try {
+      const current = await InsightJob.findOneAndUpdate(
+        { _id: job._id, lockedBy: WORKER_ID },
+        { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } },
+        { new: true, projection: { cancelRequested: 1 } },
+      )
+      // No longer ours means the lease ran out and another worker took over
+      if (!current || current.cancelRequested) {
+        cancelled = Boolean(current)
+        controller.abort()
+      }
+    } catch (error) {
+      console.error("Insight job lease renewal failed:", error)
+    }
+  }, WATCH_INTERVAL_MS)
+
+  try {
+    if (cancelled) {
+      await release(job, finishedFields({ status: "cancelled" }))
+      return
+    }
+    // A worker died during what should have been the last attempt
+    if (job.attempts > job.maxAttempts) {
+      throw jobError("The job was interrupted too many times", 500)
+    }
+
+    const workspace = await Workspace.findById(job.workspaceId)
+    const role = workspace && workspace.roleOf(job.userId)
+    if (!role || !hasRole(role, "editor")) {
+      throw jobError("The job's creator can no longer generate insights in this workspace", 403)
+    }
+
+    const insight = await generateInsight(jobRequest(job, workspace), job.toObject().input, {
+      signal: controller.signal,
+    })
+    await release(job, finishedFields({ status: "succeeded", insightId: insight._id }))
+  } catch (error) {
+    if (controller.signal.aborted) {
+      if (cancelled) await release(job, finishedFields({ status: "cancelled" }))
+      return
+    }
+
+    const lastError = { message: error.message || "Internal Server Error", statusCode: error.statusCode || 500 }
+    if (error.retryable && job.attempts < job.maxAttempts) {
+      const runAfter = new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1))
+      await release(job, { status: "pending", runAfter, lastError })
+    } else {
+      if (!error.statusCode) console.error("Insight job failed:", error)
+      await release(job, finishedFields({ status: "failed", lastError }))
+    }
+  } finally {
+    clearInterval(watch)
+  }
+}
+
+const running = new Set()
+
+const poll = async () => {
+  const concurrency = envInt("INSIGHT_WORKER_CONCURRENCY", 2)
+  await connectDB()
+  while (running.size < concurrency) {
+    const job = await claimJob()
+    if (!job) break
+
+    const run = runJob(job)
+      .catch((error) => console.error("Insight job crashed:", error))
+      .finally(() => running.delete(run))
+    running.add(run)
+  }
+}
+
+// Starts this instance's worker loop, running up to INSIGHT_WORKER_CONCURRENCY
+// jobs at a time. Set it to 0 to leave jobs to other instances.
+export const startInsightWorker = () => {
+  if (envInt("INSIGHT_WORKER_CONCURRENCY", 2) <= 0) return
+
+  const loop = async () => {
+    try {
+      await poll()
+    } catch (error) {
+      console.error("Insight worker poll failed:", error)
+    }
+    setTimeout(loop, POLL_INTERVAL_MS).unref()
+  }
+  loop()
+}
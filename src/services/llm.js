@@ -0,0 +1,264 @@
+import crypto from "crypto"
+import { setTimeout as sleep } from "timers/promises"
+import axios from "axios"
+
+// Providers turn chat messages into a completion. The default is picked with
+// LLM_PROVIDER and a workspace can choose another through settings.llm.
+// Register your own with registerProvider. A provider factory returns
+// { defaultModel, complete }, where complete({ model, messages, maxTokens,
+// temperature, timeoutMs, signal, onToken }) resolves to { content, model,
+// finishReason, usage } and may add a confidence between 0 and 1. When
+// onToken is given, a provider that can stream calls it with each piece of
+// text as it arrives. Aborting `signal` must stop the call.
+
+// Longest Retry-After we're willing to wait out before giving up
+const MAX_RETRY_AFTER_MS = 10000
+const BACKOFF_BASE_MS = 500
+// Pause between the mock provider's streamed words
+const MOCK_TOKEN_DELAY_MS = 20
+
+const providerError = (statusCode, message, { retryable = false, retryAfterMs } = {}) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  error.retryable = retryable
+  error.retryAfterMs = retryAfterMs
+  return error
+}
+
+// Maps a failed HTTP call to the status our API answers with. Problems on the
+// provider's side are 502/503/504; a request the provider refuses, such as a
+// prompt that's too long or an unknown model, is a 422.
+const fromHttpError = (error, label) => {
+  const status = error.response?.status
+  if (!status) return providerError(502, `${label} couldn't be reached`, { retryable: true })
+
+  const detail = error.response.data?.error?.message
+  if (status === 401 || status === 403) return providerError(502, `${label} rejected the configured API key`)
+  if (status === 429) {
+    const retryAfterMs = Number.parseFloat(error.response.headers?.["retry-after"]) * 1000 || undefined
+    return providerError(503, `${label} is rate limiting requests, try again later`, {
+      retryable: !(retryAfterMs > MAX_RETRY_AFTER_MS),
+      retryAfterMs,
+    })
+  }
+  if (status === 408 || status >= 500) return providerError(502, `${label} failed to answer`, { retryable: true })
+  return providerError(422, `${label} rejected the request${detail ? `: ${detail}` : ""}`)
+}
+
+// The data of each server-sent event in a response stream
+async function* eventData(stream) {
+  stream.setEncoding("utf8")
+  let buffer = ""
+  for await (const chunk of stream) {
+    buffer += chunk
+    let newline
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, "")
+      buffer = buffer.slice(newline + 1)
+      if (line.startsWith("data:")) yield line.slice(5).trim()
+    }
+  }
+}
+
+// Any API that speaks OpenAI's chat completions. When streaming, the timeout
+// counts from the last chunk, so a long answer that keeps coming isn't cut off.
+const chatCompletions =
+  ({ label, baseUrl, apiKey, headers = {} }) =>
+  async ({ model, messages, maxTokens, temperature, timeoutMs, signal, onToken }) => {
+    const controller = new AbortController()
+    const cancel = () => controller.abort()
+    signal?.addEventListener("abort", cancel)
+    let timedOut = false
+    let timer
+    const armTimeout = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        timedOut = true
+        controller.abort()
+      }, timeoutMs)
+    }
+
+    try {
+      armTimeout()
+      const response = await axios.post(
+        `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        { model, messages, max_tokens: maxTokens, temperature, stream: onToken ? true : undefined },
+        {
+          headers: { ...(apiKey && { Authorization: `Bearer ${apiKey}` }), ...headers },
+          responseType: onToken ? "stream" : "json",
+          signal: controller.signal,
+        },
+      )
+
+      if (!onToken) {
+        const choice = response.data?.choices?.[0]
+        if (typeof choice?.message?.content !== "string") {
+          throw providerError(502, `${label} returned no completion`, { retryable: true })
+        }
+        return {
+          content: choice.message.content,
+          model: response.data.model || model,
+          finishReason: choice.finish_reason,
+          usage: response.data.usage,
+        }
+      }
+
+      const result = { content: "", model }
+      for await (const data of eventData(response.data)) {
+        armTimeout()
+        if (data === "[DONE]") break
+        let chunk
+        try {
+          chunk = JSON.parse(data)
+        } catch (error) {
+          throw providerError(502, `${label} sent an unreadable stream`)
+        }
+        if (chunk.error) throw providerError(502, `${label} failed mid-answer: ${chunk.error.message}`)
+
+        const choice = chunk.choices?.[0]
+        if (choice?.delta?.content) {
+          result.content += choice.delta.content
+          onToken(choice.delta.content)
+        }
+        result.finishReason = choice?.finish_reason || result.finishReason
+        result.model = chunk.model || result.model
+        result.usage = chunk.usage || result.usage
+      }
+      return result
+    } catch (error) {
+      if (error.statusCode) throw error
+      if (signal?.aborted) throw signal.reason
+      if (timedOut) throw providerError(504, `${label} did not respond in time`, { retryable: true })
+      throw fromHttpError(error, label)
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener("abort", cancel)
+    }
+  }
+
+const providers = {
+  openrouter: () => {
+    if (!process.env.OPENROUTER_API_KEY) {
+      throw new Error("OPENROUTER_API_KEY is not set")
+    }
+    return {
+      defaultModel: "openai/gpt-4o-mini",
+      complete: chatCompletions({
+        label: "OpenRouter",
+        baseUrl: process.env.OPENROUTER_BASE_URL || "https://openrouter.ai/api/v1",
+        apiKey: process.env.OPENROUTER_API_KEY,
+        headers: {
+          "HTTP-Referer": process.env.FRONTEND_URL || "http://localhost:3000",
+          "X-Title": "Auralink",
+        },
+      }),
+    }
+  },
+  // OpenAI itself, or a local model server with the same API. The key is
+  // optional since local servers usually don't need one.
+  openai: () => ({
+    defaultModel: "gpt-4o-mini",
+    complete: chatCompletions({
+      label: "The model server",
+      baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      apiKey: process.env.OPENAI_API_KEY,
+    }),
+  }),
+  // Answers from the prompt alone, the same way every time, for tests and
+  // offline development
+  mock: () => ({
+    defaultModel: "mock",
+    complete: async ({ model, messages, signal, onToken }) => {
+      const prompt = messages.map((message) => message.content).join("\n")
+      const digest = crypto.createHash("sha256").update(prompt).digest()
+      const content = `Mock insight ${digest.toString("hex").slice(0, 8)}: ${prompt.slice(0, 200)}`
+      signal?.throwIfAborted()
+      if (onToken) {
+        for (const word of content.match(/\S+\s*/g)) {
+          await sleep(MOCK_TOKEN_DELAY_MS, undefined, { signal })
+          onToken(word)
+        }
+      }
+      return {
+        content,
+        model,
+        finishReason: "stop",
+        usage: {
+          prompt_tokens: prompt.split(/\s+/).length,
+          completion_tokens: content.split(/\s+/).length,
+        },
+        confidence: Math.round((0.5 + (digest[0] / 255) * 0.5) * 100) / 100,
+      }
+    },
+  }),
+}
+
+const instances = new Map()
+
+export const registerProvider = (name, factory) => {
+  providers[name] = factory
+  instances.delete(name)
+}
+
+export const llmProviderNames = () => Object.keys(providers)
+
+const providerFor = (name) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`)
+  }
+  if (!instances.has(name)) instances.set(name, providers[name]())
+  return instances.get(name)
+}
+
+const envInt = (name, fallback) => Number.parseInt(process.env[name] || String(fallback))
+
+// The workspace's settings.llm over the LLM_* environment defaults. LLM_MODEL
+// only applies to the LLM_PROVIDER provider; others use their own default.
+export const llmSettings = (workspace) => {
+  const own = workspace?.settings?.llm || {}
+  const envProvider = process.env.LLM_PROVIDER || "openrouter"
+  const provider = own.provider || envProvider
+  return {
+    provider,
+    model: own.model || (provider === envProvider && process.env.LLM_MODEL) || providerFor(provider).defaultModel,
+    maxTokens: own.maxTokens || envInt("LLM_MAX_TOKENS", 1000),
+    temperature: own.temperature ?? (process.env.LLM_TEMPERATURE ? Number(process.env.LLM_TEMPERATURE) : undefined),
+    timeoutMs: envInt("LLM_TIMEOUT_MS", 30000),
+    maxRetries: envInt("LLM_MAX_RETRIES", 2),
+  }
+}
+
+// Exponential backoff with jitter, unless the provider said how long to wait
+const backoff = (retry, retryAfterMs) =>
+  retryAfterMs ?? BACKOFF_BASE_MS * 2 ** retry * (0.5 + Math.random() / 2)
+
+// Runs messages through the workspace's provider. Timeouts, rate limiting and
+// provider outages are retried, unless part of the answer was already streamed;
+// what's left is thrown with a statusCode. Pass onToken to receive the answer
+// as it's produced (all at once from providers that can't stream) and a
+// signal to cancel. Resolves to { content, provider, model, finishReason,
+// usage, confidence }.
+export const generateText = async (workspace, { messages, onToken, signal }) => {
+  const { provider, maxRetries, ...options } = llmSettings(workspace)
+  const { complete } = providerFor(provider)
+
+  signal?.throwIfAborted()
+  let streamed = false
+  const relay =
+    onToken &&
+    ((text) => {
+      streamed = true
+      onToken(text)
+    })
+
+  for (let retry = 0; ; retry++) {
+    try {
+      const result = await complete({ ...options, messages, signal, onToken: relay })
+      if (onToken && !streamed && result.content) onToken(result.content)
+      return { confidence: null, ...result, provider }
+    } catch (error) {
+      if (!error.retryable || retry >= maxRetries || streamed || signal?.aborted) throw error
+      await sleep(backoff(retry, error.retryAfterMs), undefined, { signal })
+    }
+  }
+}
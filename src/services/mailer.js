@@ -0,0 +1,80 @@
+import fs from "fs/promises"
+import path from "path"
+import nodemailer from "nodemailer"
+
+// Transports turn a message ({ to, subject, text }) into a delivered email.
+// Pick one with MAIL_TRANSPORT, or register your own with registerTransport.
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number.parseInt(process.env.SMTP_PORT || "587"),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    })
+    return (message) => transporter.sendMail(message)
+  },
+  // Appends each message as a JSON line, handy for local dev and tests
+  file: () => {
+    const file = process.env.MAIL_FILE || path.join("logs", "mail.log")
+    return async (message) => {
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.appendFile(file, JSON.stringify({ ...message, sentAt: new Date() }) + "\n")
+    }
+  },
+  console: () => async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`)
+  },
+}
+
+let send = null
+
+export const registerTransport = (name, factory) => {
+  transports[name] = factory
+  send = null
+}
+
+export const sendMail = async ({ to, subject, text }) => {
+  if (!send) {
+    const production = process.env.NODE_ENV === "production"
+    const name = process.env.MAIL_TRANSPORT || (production ? "smtp" : "console")
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`)
+    }
+    // It would write reset and verification tokens to the logs
+    if (name === "console" && production) {
+      throw new Error("The console mail transport is for development only, set MAIL_TRANSPORT")
+    }
+    send = transports[name]()
+  }
+
+  const from = process.env.MAIL_FROM || "Auralink <no-reply@auralink.com>"
+  return send({ from, to, subject, text })
+}
+
+const frontendUrl = (pathname, token) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || "http://localhost:3000")
+  url.searchParams.set("token", token)
+  return url.toString()
+}
+
+export const sendVerificationEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: "Verify your Auralink email address",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${frontendUrl("/verify-email", token)}\n\nThe link expires in 24 hours.`,
+  })
+
+export const sendPasswordResetEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: "Reset your Auralink password",
+    text: `Hi ${user.name},\n\nReset your password by opening this link:\n${frontendUrl("/reset-password", token)}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+  })
+
+export const sendWorkspaceInvitationEmail = (email, workspace, inviter, token) =>
+  sendMail({
+    to: email,
+    subject: `${inviter.name} invited you to ${workspace.name} on Auralink`,
+    text: `Hi,\n\n${inviter.name} invited you to join the "${workspace.name}" workspace on Auralink.\nAccept the invitation by opening this link:\n${frontendUrl("/invitations/accept", token)}\n\nThe link expires in 7 days.`,
+  })
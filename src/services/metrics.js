@@ -0,0 +1,140 @@
+import mongoose from "mongoose"
+import Entity from "../models/Entity.js"
+import MetricEvent from "../models/MetricEvent.js"
+import { bumpDataVersion } from "./analytics.js"
+
+// metrics.score is engagement per view
+const scoreExpression = {
+  $cond: [{ $gt: ["$metrics.views", 0] }, { $divide: ["$metrics.engagement", "$metrics.views"] }, 0],
+}
+
+// Adds per-entity totals to the metrics counters. Each entity is updated with
+// a single pipeline update, so the counters and the score stay consistent
+// under concurrent ingestion. Goes through the driver because these are
+// counters, not edits: they must not touch updatedAt or the revision.
+const rollUp = (totals, { session } = {}) =>
+  Entity.collection.bulkWrite(
+    [...totals].map(([entityId, { views, engagement }]) => ({
+      updateOne: {
+        filter: { _id: new mongoose.Types.ObjectId(entityId) },
+        update: [
+          {
+            $set: {
+              "metrics.views": { $add: [{ $ifNull: ["$metrics.views", 0] }, views] },
+              "metrics.engagement": { $add: [{ $ifNull: ["$metrics.engagement", 0] }, engagement] },
+            },
+          },
+          { $set: { "metrics.score": scoreExpression } },
+        ],
+      },
+    })),
+    { ordered: false, session },
+  )
+
+// Inserts the accepted events that are new and adds them to the metrics
+// counters, marking the rest as duplicates. Safe to run again from the start.
+// Resolves to whether any counters changed.
+const storeEvents = async (req, events, accepted, { session } = {}) => {
+  for (const result of accepted) result.status = "recorded"
+
+  const ids = accepted.map(({ index }) => events[index].id).filter(Boolean)
+  const seen = new Set(
+    ids.length > 0
+      ? await MetricEvent.find({ workspaceId: req.workspace._id, clientEventId: { $in: ids } })
+          .session(session)
+          .distinct("clientEventId")
+      : [],
+  )
+  const fresh = []
+  for (const result of accepted) {
+    const { id } = events[result.index]
+    if (id && seen.has(id)) {
+      result.status = "duplicate"
+    } else {
+      if (id) seen.add(id)
+      fresh.push(result)
+    }
+  }
+
+  if (fresh.length > 0) {
+    const receivedAt = new Date()
+    const docs = fresh.map(({ index }) => ({
+      workspaceId: req.workspace._id,
+      entityId: events[index].entityId,
+      type: events[index].type,
+      value: events[index].value,
+      occurredAt: events[index].timestamp || receivedAt,
+      clientEventId: events[index].id,
+      userId: req.user.sub,
+      apiKeyId: req.user.apiKeyId,
+      receivedAt,
+    }))
+
+    try {
+      await MetricEvent.insertMany(docs, { ordered: false, session })
+    } catch (error) {
+      // Another request recorded the same id in the meantime. Unordered
+      // inserts keep going past duplicate ids; anything else is a real failure.
+      const writeErrors = [].concat(error.writeErrors || [])
+      if (writeErrors.length === 0 || writeErrors.some((writeError) => writeError.code !== 11000)) throw error
+      for (const writeError of writeErrors) {
+        fresh[writeError.index].status = "duplicate"
+      }
+    }
+  }
+
+  const totals = new Map()
+  for (const { index, status } of fresh) {
+    if (status !== "recorded") continue
+    const { entityId, type, value } = events[index]
+    const total = totals.get(entityId) || { views: 0, engagement: 0 }
+    total[type === "view" ? "views" : "engagement"] += value
+    totals.set(entityId, total)
+  }
+  if (totals.size > 0) await rollUp(totals, { session })
+  return totals.size > 0
+}
+
+// Stores validated events for entities in the request's active workspace and
+// rolls them up into each entity's metrics. Returns one result per event with
+// a status of recorded, duplicate (its id was already seen) or rejected. The
+// events and the roll-up are written in one transaction, so a failed roll-up
+// can't leave events behind that a retry would skip as duplicates. MongoDB
+// without a replica set can't do that and gets the writes one after another.
+export const ingestEvents = async (req, events) => {
+  const entityIds = [...new Set(events.map((event) => event.entityId))]
+  const existing = await Entity.find({
+    _id: { $in: entityIds },
+    workspaceId: req.workspace._id,
+    deletedAt: null,
+  }).distinct("_id")
+  const known = new Set(existing.map(String))
+
+  const results = events.map((event, index) =>
+    known.has(event.entityId)
+      ? { index, id: event.id, status: "recorded" }
+      : { index, id: event.id, status: "rejected", error: "Entity not found" },
+  )
+  const accepted = results.filter((result) => result.status === "recorded")
+  if (accepted.length === 0) return results
+
+  const session = await mongoose.startSession()
+  let changed
+  try {
+    // withTransaction retries on transient errors, which includes a duplicate
+    // id aborting the transaction, and the retry then sees the duplicate
+    await session.withTransaction(async () => {
+      changed = await storeEvents(req, events, accepted, { session })
+    })
+  } catch (error) {
+    // IllegalOperation: transactions need a replica set or mongos
+    if (error.code !== 20) throw error
+    changed = await storeEvents(req, events, accepted)
+  } finally {
+    await session.endSession()
+  }
+
+  // Outside the transaction, so concurrent ingests don't conflict on it
+  if (changed) await bumpDataVersion(req.workspace._id)
+  return results
+}
@@ -0,0 +1,31 @@
+// In-process cache with a time to live per entry. Once full, the least
+// recently used entry is dropped to make room.
+export class TtlCache {
+  constructor({ ttlMs, maxEntries = 500 }) {
+    this.ttlMs = ttlMs
+    this.maxEntries = maxEntries
+    this.entries = new Map()
+  }
+
+  get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return undefined
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return undefined
+    }
+
+    // Map keeps insertion order, so re-inserting marks it most recently used
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  set(key, value) {
+    this.entries.delete(key)
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs })
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+}
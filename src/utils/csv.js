@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV: fields containing commas, quotes or line breaks are
+// quoted, and quotes inside them are doubled.
+
+const needsQuoting = /[",\r\n]/
+
+export const formatCsvRow = (values) =>
+  values
+    .map((value) => {
+      const text = value == null ? "" : String(value)
+      return needsQuoting.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    })
+    .join(",") + "\r\n"
+
+// Spreadsheets run a cell that starts with one of these as a formula. A
+// leading quote is escaped as well, so unescaping can tell which quotes
+// escapeFormula added.
+const escapedStart = /^[=+\-@\t\r']/
+
+// Prefixes a text cell that would run as a formula with a quote, so a
+// spreadsheet shows it as text
+export const escapeFormula = (value) => (typeof value === "string" && escapedStart.test(value) ? `'${value}` : value)
+
+// Reverses escapeFormula
+export const unescapeFormula = (text) =>
+  text.startsWith("'") && escapedStart.test(text.slice(1)) ? text.slice(1) : text
+
+// Parses CSV text into an array of rows, each { line, values }, where line is
+// the 1-based line the row starts on. Blank lines are skipped. Throws on an
+// unterminated quoted field.
+export const parseCsv = (text) => {
+  const rows = []
+  let values = []
+  let field = ""
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+
+  const endRow = () => {
+    values.push(field)
+    if (values.length > 1 || values[0] !== "") rows.push({ line: rowLine, values })
+    values = []
+    field = ""
+  }
+
+  // Skip a UTF-8 byte order mark left by spreadsheet exports
+  const start = text.charCodeAt(0) === 0xfeff ? 1 : 0
+  for (let i = start; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === "\n") line++
+        field += char
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true
+    } else if (char === ",") {
+      values.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++
+      endRow()
+      line++
+      rowLine = line
+    } else {
+      field += char
+    }
+  }
+
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${rowLine}`)
+  if (field !== "" || values.length > 0) endRow()
+  return rows
+}
@@ -0,0 +1,157 @@
+import Joi from "joi"
+
+// Query-string filter language for entity lists:
+//
+//   category=a,b  status=active  priority=high,medium   any of the listed values
+//   tags.any=x,y  tags.all=x,y                           tag matching
+//   createdAt.gte=2024-05-01  updatedAt.lt=-7d           ISO dates or relative (-30m, -24h, -7d)
+//   views.gte=100  engagement.lt=5  score.gt=0.5         metric thresholds
+//   sort=-score,createdAt                                comma separated, "-" for descending
+//
+// Anything else is rejected, so operators can't be smuggled into the query.
+
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"]
+const METRIC_FIELDS = { views: "metrics.views", engagement: "metrics.engagement", score: "metrics.score" }
+const DATE_FIELDS = ["createdAt", "updatedAt"]
+export const SORT_FIELDS = {
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  title: "title",
+  ...METRIC_FIELDS,
+}
+
+const RELATIVE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }
+
+const csvList = (allowed) =>
+  Joi.string().custom((value, helpers) => {
+    const items = value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean)
+    if (items.length === 0) return helpers.message("{{#label}} must list at least one value")
+
+    const unknown = allowed && items.find((item) => !allowed.includes(item))
+    if (unknown) return helpers.message(`{{#label}} contains unknown value "${unknown}"`)
+
+    return items
+  })
+
+const dateValue = Joi.string().custom((value, helpers) => {
+  const relative = /^-(\d+)([mhdw])$/.exec(value)
+  if (relative) {
+    return new Date(Date.now() - Number(relative[1]) * RELATIVE_UNITS[relative[2]])
+  }
+
+  const { error, value: date } = Joi.date().iso().validate(value)
+  if (error) return helpers.message("{{#label}} must be an ISO date or a relative time like -7d")
+  return date
+})
+
+const sortValue = Joi.string().custom((value, helpers) => {
+  const sort = {}
+  for (const part of value.split(",").map((item) => item.trim())) {
+    const field = part.replace(/^-/, "")
+    if (field !== "relevance" && !SORT_FIELDS[field]) {
+      return helpers.message(`{{#label}} can't sort by "${field}"`)
+    }
+    sort[field] = part.startsWith("-") ? -1 : 1
+  }
+  return sort
+})
+
+// Filters shared by every endpoint that selects entities
+export const ENTITY_FILTER_KEYS = {
+  category: csvList(),
+  status: csvList(["active", "inactive"]),
+  priority: csvList(["low", "medium", "high"]),
+  "tags.any": csvList(),
+  "tags.all": csvList(),
+}
+for (const operator of RANGE_OPERATORS) {
+  for (const field of DATE_FIELDS) ENTITY_FILTER_KEYS[`${field}.${operator}`] = dateValue
+  for (const field of Object.keys(METRIC_FIELDS)) ENTITY_FILTER_KEYS[`${field}.${operator}`] = Joi.number()
+}
+
+const entityQuerySchema = Joi.object({
+  q: Joi.string().trim().max(200).allow(""),
+  cursor: Joi.string().max(2000),
+  includeTotal: Joi.boolean().default(false),
+  // Offset paging, kept for older clients. Prefer cursor.
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  // Kept for older clients, sort takes precedence
+  sortBy: Joi.string().valid("relevance", "newest", "views", "engagement"),
+  sort: sortValue,
+  ...ENTITY_FILTER_KEYS,
+}).messages({ "object.unknown": "Unknown filter {{#label}}" })
+
+const LEGACY_SORTS = {
+  relevance: { relevance: -1 },
+  newest: { createdAt: -1 },
+  views: { views: -1 },
+  engagement: { engagement: -1 },
+}
+
+// Validates list query parameters and turns them into a MongoDB filter and a
+// sort spec using the public field names. Returns { error } on bad input.
+export const parseEntityQuery = (params) => {
+  const { error, value } = entityQuerySchema.validate(params)
+  if (error) return { error: error.details[0].message }
+
+  const q = value.q || ""
+  const sort = value.sort || LEGACY_SORTS[value.sortBy] || (q ? { relevance: -1 } : { createdAt: -1 })
+  if (sort.relevance && !q) {
+    return { error: "Sorting by relevance requires a search query (q)" }
+  }
+
+  return { value: { ...value, q, filter: toMongoFilter(value), sort } }
+}
+
+// The ENTITY_FILTER_KEYS parameters as sent, in a fixed order, for cache keys.
+// A relative time like -7d stays as written; resolved, it would differ on
+// every request.
+export const rawEntityFilters = (query) =>
+  Object.fromEntries(
+    Object.keys(ENTITY_FILTER_KEYS)
+      .filter((key) => query[key] !== undefined)
+      .map((key) => [key, query[key]]),
+  )
+
+// Builds a MongoDB filter from validated ENTITY_FILTER_KEYS values
+export const toMongoFilter = (value) => {
+  const filter = {}
+  if (value.category) filter.category = { $in: value.category }
+  if (value.status) filter.status = { $in: value.status }
+  if (value.priority) filter.priority = { $in: value.priority }
+  if (value["tags.any"] || value["tags.all"]) {
+    filter.tags = {}
+    if (value["tags.any"]) filter.tags.$in = value["tags.any"]
+    if (value["tags.all"]) filter.tags.$all = value["tags.all"]
+  }
+
+  const ranges = [...DATE_FIELDS.map((field) => [field, field]), ...Object.entries(METRIC_FIELDS)]
+  for (const [name, path] of ranges) {
+    for (const operator of RANGE_OPERATORS) {
+      const bound = value[`${name}.${operator}`]
+      if (bound === undefined) continue
+      filter[path] = { ...filter[path], [`$${operator}`]: bound }
+    }
+  }
+
+  return filter
+}
+
+// Converts a sort spec from parseEntityQuery into a MongoDB sort
+export const toMongoSort = (sort) => {
+  const mongoSort = {}
+  for (const [field, direction] of Object.entries(sort)) {
+    if (field === "relevance") {
+      mongoSort.score = { $meta: "textScore" }
+    } else {
+      mongoSort[SORT_FIELDS[field]] = direction
+    }
+  }
+  // Tie-breaker so equal values keep a stable order between pages
+  if (!("_id" in mongoSort)) mongoSort._id = -1
+  return mongoSort
+}
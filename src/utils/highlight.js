@@ -0,0 +1,44 @@
+// Snippet highlighting for text search results. MongoDB doesn't report which
+// words matched, so this re-finds the search terms: a word matches when it
+// starts with a term, which also catches most stemmed forms.
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Positive terms of a $text search string: negated words are dropped and
+// quoted phrases are split into their words
+export const searchTerms = (q) =>
+  q
+    .replace(/(^|\s)-("[^"]*"|\S+)/g, " ")
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .map((term) => term.toLowerCase())
+    .filter((term) => term.length > 1)
+
+const termPattern = (terms) => new RegExp(`\\b(?:${terms.map(escapeRegExp).join("|")})\\w*`, "gi")
+
+// Returns an HTML-escaped excerpt around the first match with every match
+// wrapped in <mark>, or null when the text doesn't contain any term
+export const highlight = (text, terms, radius = 60) => {
+  if (!text || terms.length === 0) return null
+
+  const pattern = termPattern(terms)
+  const first = pattern.exec(text)
+  if (!first) return null
+
+  const start = Math.max(0, first.index - radius)
+  const end = Math.min(text.length, first.index + first[0].length + radius)
+
+  let snippet = ""
+  let cursor = start
+  for (const match of text.slice(start, end).matchAll(termPattern(terms))) {
+    const index = start + match.index
+    snippet += escapeHtml(text.slice(cursor, index)) + `<mark>${escapeHtml(match[0])}</mark>`
+    cursor = index + match[0].length
+  }
+  snippet += escapeHtml(text.slice(cursor, end))
+
+  return (start > 0 ? "…" : "") + snippet + (end < text.length ? "…" : "")
+}
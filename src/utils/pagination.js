@@ -0,0 +1,134 @@
+import mongoose from "mongoose"
+
+// Opaque cursor pagination. A cursor holds the sort key values of the item it
+// points at, and the next page is everything strictly after it in sort order
+// (keyset pagination), so pages stay stable while documents are added and
+// don't get slower the deeper you go. Sorts on a text search score can't be
+// expressed as a range, so those cursors fall back to an offset.
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() }
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() }
+  return value
+}
+
+// Cursors come from the client, so anything but a plain value is rejected
+// rather than risk passing query operators through
+const decodeValue = (value) => {
+  if (value === null || ["string", "number", "boolean"].includes(typeof value)) return value
+  if (typeof value.d === "string" && !Number.isNaN(Date.parse(value.d))) return new Date(value.d)
+  if (typeof value.o === "string" && mongoose.isObjectIdOrHexString(value.o)) {
+    return new mongoose.Types.ObjectId(value.o)
+  }
+  throw new Error("Invalid cursor value")
+}
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => (value == null ? value : value[key]), doc)
+
+// Identifies the sort a cursor was made for, so a cursor can't be replayed
+// against a different order
+const sortSignature = (sort) =>
+  Object.entries(sort)
+    .map(([field, direction]) => `${field}:${typeof direction === "object" ? "meta" : direction}`)
+    .join(",")
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url")
+
+const decodeCursor = (cursor, fieldCount) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString())
+    if (position.values) {
+      if (!Array.isArray(position.values) || position.values.length !== fieldCount) return null
+      position.values = position.values.map(decodeValue)
+    }
+    return position
+  } catch (error) {
+    return null
+  }
+}
+
+// Documents strictly after (or before) the given sort key values
+const keysetFilter = (sort, values, backwards) => {
+  const fields = Object.keys(sort)
+  return {
+    $or: fields.map((field, i) => {
+      const clause = {}
+      fields.slice(0, i).forEach((previous, j) => {
+        clause[previous] = values[j]
+      })
+      const ascending = (sort[field] === 1) !== backwards
+      clause[field] = { [ascending ? "$gt" : "$lt"]: values[i] }
+      return clause
+    }),
+  }
+}
+
+// Fetches one page of `Model` matching `filter` in `sort` order. The sort must
+// end with a unique field (normally _id) to make the order total.
+// Returns { items, nextCursor, prevCursor }. An unusable cursor throws an
+// error carrying a 400 statusCode for the error handler.
+export const paginate = async (Model, { filter, projection, sort, limit, cursor }) => {
+  const signature = sortSignature(sort)
+  const usesOffset = Object.values(sort).some((direction) => typeof direction === "object")
+  const position = cursor ? decodeCursor(cursor, Object.keys(sort).length) : null
+  if (cursor && (!position || position.s !== signature || (!usesOffset && !position.values))) {
+    const error = new Error("Invalid cursor for this query")
+    error.statusCode = 400
+    throw error
+  }
+
+  if (usesOffset) {
+    const offset = position ? Math.max(0, Number.parseInt(position.offset) || 0) : 0
+    const items = await Model.find(filter, projection)
+      .sort(sort)
+      .skip(offset)
+      .limit(limit + 1)
+      .lean()
+
+    return {
+      items: items.slice(0, limit),
+      nextCursor: items.length > limit ? encodeCursor({ s: signature, offset: offset + limit }) : null,
+      prevCursor: offset > 0 ? encodeCursor({ s: signature, offset: Math.max(0, offset - limit) }) : null,
+    }
+  }
+
+  const backwards = position?.dir === "prev"
+  const query = position
+    ? { $and: [filter, keysetFilter(sort, position.values, backwards)] }
+    : filter
+  const effectiveSort = backwards
+    ? Object.fromEntries(Object.entries(sort).map(([field, direction]) => [field, -direction]))
+    : sort
+
+  let items = await Model.find(query, projection)
+    .sort(effectiveSort)
+    .limit(limit + 1)
+    .lean()
+  const hasMore = items.length > limit
+  items = items.slice(0, limit)
+  if (backwards) items.reverse()
+
+  const cursorFor = (doc, dir) =>
+    encodeCursor({ s: signature, dir, values: Object.keys(sort).map((field) => encodeValue(getPath(doc, field))) })
+
+  const first = items[0]
+  const last = items[items.length - 1]
+  return {
+    items,
+    nextCursor: last && (backwards || hasMore) ? cursorFor(last, "next") : null,
+    prevCursor: first && position && (!backwards || hasMore) ? cursorFor(first, "prev") : null,
+  }
+}
+
+// next/prev URLs for the current request with the cursor swapped out
+export const pageLinks = (req, { nextCursor, prevCursor }) => {
+  const link = (cursor) => {
+    if (!cursor) return null
+    const params = new URLSearchParams(req.query)
+    params.delete("page")
+    params.set("cursor", cursor)
+    return `${req.baseUrl}${req.path === "/" ? "" : req.path}?${params}`
+  }
+
+  return { next: link(nextCursor), prev: link(prevCursor) }
+}
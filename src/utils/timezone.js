@@ -0,0 +1,92 @@
+// Calendar helpers for IANA time zones, built on Intl so no tz database needs
+// to ship with the app. Calendar dates are handled as { year, month, day } with
+// a 1-based month.
+
+export const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+const formatters = new Map()
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      }),
+    )
+  }
+  return formatters.get(timeZone)
+}
+
+// Wall clock time in `timeZone` at the given instant
+const wallClock = (date, timeZone) => {
+  const parts = {}
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = Number(value)
+  }
+  return parts
+}
+
+// The calendar date in `timeZone` at the given instant
+export const localDate = (date, timeZone) => {
+  const { year, month, day } = wallClock(date, timeZone)
+  return { year, month, day }
+}
+
+// The instant local midnight starts on the given date in `timeZone`
+export const startOfLocalDay = ({ year, month, day }, timeZone) => {
+  const target = Date.UTC(year, month - 1, day)
+  // Shift by the zone's UTC offset, then again in case the first guess landed
+  // on the other side of a DST change
+  let instant = target
+  for (let i = 0; i < 2; i++) {
+    const clock = wallClock(new Date(instant), timeZone)
+    const offset = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second) - instant
+    instant = target - offset
+  }
+  return new Date(instant)
+}
+
+// Calendar arithmetic, independent of any time zone
+export const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days))
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+}
+
+export const addMonths = ({ year, month }, months) => {
+  const date = new Date(Date.UTC(year, month - 1 + months, 1))
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: 1 }
+}
+
+// Feb 29 becomes Feb 28 in years without one
+export const addYears = ({ year, month, day }, years) => {
+  const lastDay = new Date(Date.UTC(year + years, month, 0)).getUTCDate()
+  return { year: year + years, month, day: Math.min(day, lastDay) }
+}
+
+// Whole days from `a` to `b`
+export const daysBetween = (a, b) =>
+  (Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / 86400000
+
+export const weekdayOf = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+
+export const compareDates = (a, b) => a.year - b.year || a.month - b.month || a.day - b.day
+
+const pad = (value) => String(value).padStart(2, "0")
+export const formatDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`
+export const formatMonth = ({ year, month }) => `${year}-${pad(month)}`
@@ -0,0 +1,6 @@
+import crypto from "crypto"
+
+// Opaque tokens are only ever stored as a hash so a database leak can't be replayed
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+export const randomToken = (bytes = 48) => crypto.randomBytes(bytes).toString("base64url")